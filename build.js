@@ -1,44 +1,573 @@
 // build.js
-import { cp, readFile, writeFile, rm, mkdir } from 'node:fs/promises';
-import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { watch } from 'node:fs';
+import { cp, readFile, writeFile, rm, mkdir, readdir, stat } from 'node:fs/promises';
+import { dirname, join, relative, resolve, sep } from 'node:path';
+import { VENDOR_PREFIX, VENDOR_SCRIPTS, vendorFile } from './server/vendor.js';
+import { loadBuildConfig, createHtmlPipeline } from './server/html-pipeline.js';
+import { renderToString, injectApp } from './server/ssr.js';
 
 const SRC_DIR = 'src';
 const DIST_DIR = 'dist';
+const CONFIG_FILE = 'build.config.json';
+const PACKAGE_FILE = 'package.json';
 
-async function build() {
-  console.log('Cleaning dist directory...');
-  await rm(DIST_DIR, { recursive: true, force: true });
-  await mkdir(DIST_DIR);
+// `bun build.js --env <name>` picks the environment's app config and steps;
+// `--watch` rebuilds what changed whenever src/, the build config or
+// package.json change
+const envIndex = process.argv.indexOf('--env');
+const ENVIRONMENT = envIndex === -1 ? 'production' : process.argv[envIndex + 1];
+const WATCH = process.argv.includes('--watch');
+const SERVICE_WORKER = 'sw.js';
+const HASH_LENGTH = 10;
 
-  console.log('Copying src to dist...');
-  await cp(SRC_DIR, DIST_DIR, { recursive: true });
+// Intermediate files, kept between rebuilds: src/ with the vendored scripts
+// and transformed pages (stage), the bundler's output, and the filled-in
+// service worker
+const CACHE_DIR = '.cache/build';
+const STAGE_DIR = join(CACHE_DIR, 'stage');
+const BUNDLE_DIR = join(CACHE_DIR, 'bundle');
+const CLASSIC_ENTRY_DIR = join(CACHE_DIR, 'classic-entries');
+const RENDERER_DIR = join(CACHE_DIR, 'renderer');
+const WORKER_DIR = join(CACHE_DIR, 'worker');
 
-  console.log('Injecting PWA features into index.html...');
-  const indexPath = join(DIST_DIR, 'index.html');
-  let html = await readFile(indexPath, 'utf-8');
+// Files that keep their names: pages, the service worker (browsers look it up
+// by URL) and the web manifest (its URL identifies the installed app)
+const STABLE_NAMES = /(^|\/)(sw\.js|manifest\.json)$|\.html$/;
 
-  // 1. Add manifest link
-  html = html.replace(
-    '<head>',
-    `<head>
-    <link rel="manifest" href="manifest.json">`
-  );
+// References that are rewritten to hashed names: src/href attributes, module
+// specifiers (in scripts and inline module scripts) and manifest icons. The
+// quote is group 1 and the URL group 2.
+const IMPORTS = /\b(?:from|import)\s*\(?\s*(["'])([^"'\n]+)\1/g;
+const SOURCE_MAP = /\/\/# sourceMappingURL=()(\S+)/g;
+const REFERENCES = {
+  '.html': [/\b(?:src|href)=(["'])([^"']+)\1/g, IMPORTS],
+  '.js': [IMPORTS, SOURCE_MAP],
+  '.json': [/"src"\s*:\s*(")([^"]+)\1/g],
+};
 
-  // 2. Add Service Worker registration module
-  html = html.replace(
-    '</body>',
-    `    <script type="module" src="sw-register.js"></script>
-</body>`
-  );
+const INLINE_MODULE = /<script type="module">([\s\S]*?)<\/script>/;
+const SCRIPT_TAG = /<script\b([^>]*)\bsrc=(["'])([^"']+)\2[^>]*><\/script>/g;
 
-  // 3. Update Title for Prod (optional)
-  html = html.replace('Juris.js Counter', 'Juris.js Counter PWA');
+// What the last build produced, so a rebuild only repeats the affected steps
+const previous = {
+  config: null,
+  pipeline: null,
+  scripts: null,
+  renderer: null,
+  prerender: null,
+  worker: null,
+  // File in dist -> hash of its content
+  published: new Map(),
+};
 
-  await writeFile(indexPath, html);
-  console.log('Build complete!');
+async function listFiles(dir, prefix = '') {
+  const files = [];
+  for (const entry of await readdir(join(dir, prefix), { withFileTypes: true })) {
+    const path = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) files.push(...await listFiles(dir, path));
+    else files.push(path);
+  }
+  return files;
 }
 
-build().catch(err => {
+async function removeEmptyDirs(dir) {
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const path = join(dir, entry.name);
+    await removeEmptyDirs(path);
+    if (!(await readdir(path)).length) await rm(path, { recursive: true });
+  }
+}
+
+function extension(file) {
+  const dot = file.lastIndexOf('.');
+  return dot > file.lastIndexOf('/') ? file.slice(dot) : '';
+}
+
+function contentHash(content) {
+  return createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+// Whether a file, or a directory it is in, is among the changed paths
+function touched(changed, file) {
+  return changed.has(file) || [...changed].some(path => file.startsWith(`${path}/`));
+}
+
+// The dist file a URL in `from` points at; null for other origins and anchors
+function resolveReference(url, from) {
+  if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(url)) return null;
+  return decodeURIComponent(new URL(url, `http://dist/${from}`).pathname.slice(1));
+}
+
+// Only the file name changes, so the rest of the URL is kept as written
+function renameReference(url, name) {
+  const end = url.search(/[?#]|$/);
+  return url.slice(0, end).replace(/[^/]*$/, name.slice(name.lastIndexOf('/') + 1)) + url.slice(end);
+}
+
+// Local modules a staged module imports, directly or not
+async function moduleGraph(file, seen = new Set()) {
+  const text = await readFile(join(STAGE_DIR, file), 'utf-8');
+  for (const [, , url] of text.matchAll(IMPORTS)) {
+    const target = resolveReference(url, file);
+    if (target && !seen.has(target) && await Bun.file(join(STAGE_DIR, target)).exists()) {
+      seen.add(target);
+      await moduleGraph(target, seen);
+    }
+  }
+  return seen;
+}
+
+// Third-party scripts the pages load from /vendor/, copied from node_modules
+async function copyVendorScripts() {
+  await mkdir(join(STAGE_DIR, VENDOR_PREFIX), { recursive: true });
+  const files = [];
+  for (const name of Object.keys(VENDOR_SCRIPTS)) {
+    await cp(await vendorFile(name), join(STAGE_DIR, VENDOR_PREFIX, name));
+    files.push(`${VENDOR_PREFIX.slice(1)}${name}`);
+  }
+  return files;
+}
+
+// Runs the HTML pipeline on a page from src/ and moves its inline module
+// script to <page>.js, so it is bundled like any other entry. Returns the
+// staged files it wrote or removed.
+async function stagePage(page) {
+  let html = previous.pipeline.transform(await readFile(join(SRC_DIR, page), 'utf-8'), page);
+  const entry = page.replace(/\.html$/, '.js');
+  const inline = INLINE_MODULE.exec(html);
+  if (inline) {
+    if (await Bun.file(join(SRC_DIR, entry)).exists()) throw new Error(`${entry} would overwrite a source file`);
+    await writeFile(join(STAGE_DIR, entry), `${inline[1].trim()}\n`);
+    html = html.replace(inline[0], `<script type="module" src="${entry.slice(entry.lastIndexOf('/') + 1)}"></script>`);
+  } else if (!(await Bun.file(join(SRC_DIR, entry)).exists())) {
+    await rm(join(STAGE_DIR, entry), { force: true });
+  }
+  await writeFile(join(STAGE_DIR, page), html);
+  return [page, entry];
+}
+
+// Brings the stage up to date: all of src/ on a full build, otherwise only
+// the changed paths. Pages are transformed again when they or the build
+// config changed. Returns the staged paths that changed.
+async function stage(changes) {
+  const changed = new Set();
+  if (changes.full) {
+    await cp(SRC_DIR, STAGE_DIR, { recursive: true });
+    for (const file of await listFiles(STAGE_DIR)) changed.add(file);
+  } else {
+    for (const path of changes.src) {
+      const target = join(STAGE_DIR, path);
+      await rm(target, { recursive: true, force: true });
+      if (await stat(join(SRC_DIR, path)).catch(() => null)) {
+        await mkdir(dirname(target), { recursive: true });
+        await cp(join(SRC_DIR, path), target, { recursive: true });
+      }
+      changed.add(path);
+    }
+    // In case the watcher missed a deletion: generated files aside, the stage
+    // has nothing that is not in src/
+    const sources = new Set(await listFiles(SRC_DIR));
+    const generated = previous.pipeline.pages.map(page => page.replace(/\.html$/, '.js'));
+    for (const file of await listFiles(STAGE_DIR)) {
+      if (sources.has(file) || generated.includes(file) || file.startsWith(VENDOR_PREFIX.slice(1))) continue;
+      await rm(join(STAGE_DIR, file));
+      changed.add(file);
+    }
+  }
+  if (changes.full || changes.packages) {
+    for (const file of await copyVendorScripts()) changed.add(file);
+  }
+  for (const page of previous.pipeline.pages) {
+    if (changes.full || changes.config || touched(changed, page)) {
+      for (const file of await stagePage(page)) changed.add(file);
+    }
+  }
+  return changed;
+}
+
+// The pages' local scripts: module entries, classic scripts and everything
+// the modules import. Vendored scripts are already minified and left alone.
+async function findScripts() {
+  const modules = new Set();
+  const classic = new Set();
+  for (const page of (await listFiles(STAGE_DIR)).filter(name => name.endsWith('.html'))) {
+    const html = await readFile(join(STAGE_DIR, page), 'utf-8');
+    for (const [, attributes, , url] of html.matchAll(SCRIPT_TAG)) {
+      const target = resolveReference(url, page);
+      if (!target || target.startsWith(VENDOR_PREFIX.slice(1))) continue;
+      (/\btype=["']module["']/.test(attributes) ? modules : classic).add(target);
+    }
+  }
+  const inputs = new Set();
+  for (const entry of modules) for (const file of await moduleGraph(entry)) inputs.add(file);
+  return { modules, classic, inputs };
+}
+
+// The bundler writes source map paths relative to its output in the cache;
+// rewrite them as seen from the same file in dist
+async function relinkSourceMaps(outdir, baseDir) {
+  for (const file of (await listFiles(outdir)).filter(name => name.endsWith('.map'))) {
+    const path = join(outdir, file);
+    const map = JSON.parse(await readFile(path, 'utf-8'));
+    map.sources = map.sources.map(source => {
+      return relative(join(baseDir, dirname(file)), resolve(dirname(path), source)).split(sep).join('/');
+    });
+    await writeFile(path, JSON.stringify(map));
+  }
+}
+
+// Module scripts are bundled with shared code split into chunks. Classic
+// scripts are built from entries that import them for their side effects;
+// built directly, a script that also assigns module.exports (juris.js) would
+// be wrapped and never run.
+async function buildScripts(kind, entries) {
+  const outdir = join(BUNDLE_DIR, kind);
+  await rm(outdir, { recursive: true, force: true });
+  await mkdir(outdir, { recursive: true });
+  if (!entries.size) return;
+  const options = { outdir, minify: true, sourcemap: 'linked' };
+  if (kind === 'esm') {
+    const entrypoints = [...entries].map(file => join(STAGE_DIR, file));
+    await Bun.build({ ...options, root: STAGE_DIR, entrypoints, format: 'esm', splitting: true });
+  } else {
+    await rm(CLASSIC_ENTRY_DIR, { recursive: true, force: true });
+    const entrypoints = [];
+    for (const file of entries) {
+      const wrapper = join(CLASSIC_ENTRY_DIR, file);
+      await mkdir(dirname(wrapper), { recursive: true });
+      await writeFile(wrapper, `import ${JSON.stringify(relative(dirname(wrapper), join(STAGE_DIR, file)))};\n`);
+      entrypoints.push(wrapper);
+    }
+    await Bun.build({ ...options, root: CLASSIC_ENTRY_DIR, entrypoints, format: 'iife' });
+  }
+  await relinkSourceMaps(outdir, STAGE_DIR);
+}
+
+// Bundles and minifies the pages' scripts, with source maps. Each kind is
+// rebuilt only when its entries, or a file they include, changed. Returns
+// what was rebuilt.
+async function bundle(changed) {
+  const scripts = await findScripts();
+  const last = previous.scripts;
+  const sameSet = (a, b) => a.size === b.size && [...a].every(file => b.has(file));
+  const rebuilt = [];
+  const moduleFiles = [...scripts.modules, ...scripts.inputs, ...(last?.inputs ?? [])];
+  if (!last || !sameSet(scripts.modules, last.modules) || moduleFiles.some(file => touched(changed, file))) {
+    await buildScripts('esm', scripts.modules);
+    rebuilt.push('modules');
+  }
+  if (!last || !sameSet(scripts.classic, last.classic) || [...scripts.classic].some(file => touched(changed, file))) {
+    await buildScripts('classic', scripts.classic);
+    rebuilt.push('classic scripts');
+  }
+  previous.scripts = scripts;
+  return rebuilt;
+}
+
+// The site as it goes into fingerprinting: the staged files, with the scripts
+// that went into bundles replaced by the bundles
+async function assemble() {
+  const { modules, classic, inputs } = previous.scripts;
+  const bundled = new Set([...modules, ...classic, ...inputs]);
+  const files = new Map();
+  for (const file of await listFiles(STAGE_DIR)) {
+    if (!bundled.has(file)) files.set(file, await readFile(join(STAGE_DIR, file)));
+  }
+  for (const kind of ['esm', 'classic']) {
+    const dir = join(BUNDLE_DIR, kind);
+    for (const file of await listFiles(dir)) files.set(file, await readFile(join(dir, file)));
+  }
+  return files;
+}
+
+// Renames files to name.<hash>.ext. A file is hashed after the references in
+// it are rewritten, so a change to a module also renames everything that
+// imports it. Returns the files by their final names, and their hashes.
+function fingerprint(files) {
+  const names = new Map();
+  const output = new Map();
+  const hashes = new Map();
+  const visiting = new Set();
+
+  function visit(file) {
+    if (names.has(file)) return;
+    if (visiting.has(file)) throw new Error(`Reference cycle through ${file}`);
+    visiting.add(file);
+
+    let content = files.get(file);
+    const patterns = REFERENCES[extension(file)];
+    if (patterns) {
+      let text = content.toString('utf-8');
+      for (const pattern of patterns) {
+        for (const [, , url] of text.matchAll(pattern)) {
+          const target = resolveReference(url, file);
+          if (files.has(target) && target !== file) visit(target);
+        }
+        text = text.replace(pattern, (match, quote, url) => {
+          const target = resolveReference(url, file);
+          if (!names.has(target) || target === file) return match;
+          return match.replace(url, renameReference(url, names.get(target)));
+        });
+      }
+      content = Buffer.from(text);
+    }
+
+    const hash = contentHash(content);
+    const ext = extension(file);
+    const name = STABLE_NAMES.test(file) ? file : `${file.slice(0, file.length - ext.length)}.${hash}${ext}`;
+    visiting.delete(file);
+    names.set(file, name);
+    output.set(name, content);
+    hashes.set(name, hash);
+  }
+
+  for (const file of files.keys()) visit(file);
+  return { output, hashes };
+}
+
+// Adds Subresource Integrity to the pages' vendored script tags, so the
+// browser refuses a copy that was altered after the build
+function addIntegrity(output, hashes) {
+  const vendorDir = VENDOR_PREFIX.slice(1);
+  for (const page of [...output.keys()].filter(name => name.endsWith('.html'))) {
+    const html = output.get(page).toString('utf-8');
+    let updated = html;
+    for (const [tag, , url] of html.matchAll(/<script\b[^>]*\bsrc=(["'])([^"']+)\1[^>]*>/g)) {
+      const target = resolveReference(url, page);
+      if (!target?.startsWith(vendorDir) || !output.has(target) || /\bintegrity=/.test(tag)) continue;
+      const digest = createHash('sha384').update(output.get(target)).digest('base64');
+      updated = updated.replace(tag, tag.replace(/>$/, ` integrity="sha384-${digest}">`));
+    }
+    if (updated !== html) {
+      output.set(page, Buffer.from(updated));
+      hashes.set(page, contentHash(updated));
+    }
+  }
+}
+
+// Loads the app's layout and components for prerendering. They are bundled
+// to a new file each time: importing src/app.js again would return the
+// modules as they were first loaded.
+async function loadRenderer(version) {
+  const name = `app-${version}.js`;
+  await rm(RENDERER_DIR, { recursive: true, force: true });
+  await Bun.build({ entrypoints: [join(SRC_DIR, 'app.js')], outdir: RENDERER_DIR, target: 'bun', naming: name });
+  return { version, ...await import(resolve(RENDERER_DIR, name)) };
+}
+
+// Renders each configured route into a copy of the finished index.html, with
+// the state the client hydrates from, so the page has content before the
+// scripts load. "/" is index.html itself, "/help" is help/index.html. Top-level
+// keys of a route's state replace the app's initial state. Routes are only
+// rendered again when the page, the app's modules or the routes changed.
+// Returns whether they were.
+async function prerender(output, hashes, changed) {
+  const routes = previous.config.prerender?.routes ?? [];
+  if (!routes.length) return false;
+  const appFiles = ['app.js', ...await moduleGraph('app.js')];
+  if (!previous.renderer || appFiles.some(file => touched(changed, file))) {
+    previous.renderer = await loadRenderer((previous.renderer?.version ?? 0) + 1);
+  }
+  const { version, components, initialState, createLayout } = previous.renderer;
+  const template = output.get('index.html').toString('utf-8');
+  const key = JSON.stringify([contentHash(template), version, routes]);
+
+  const rendered = previous.prerender?.key !== key;
+  if (rendered) {
+    const files = new Map();
+    for (const route of routes) {
+      const states = { ...structuredClone(initialState), ...route.state };
+      const markup = await renderToString(createLayout, { components, states });
+      const html = injectApp(template, markup, states);
+      if (html === null) throw new Error('index.html has no <div id="app"></div> to prerender into');
+      files.set(route.path === '/' ? 'index.html' : `${route.path.slice(1)}/index.html`, Buffer.from(html));
+    }
+    previous.prerender = { key, files };
+  }
+  for (const [file, html] of previous.prerender.files) {
+    output.set(file, html);
+    hashes.set(file, contentHash(html));
+  }
+  return rendered;
+}
+
+// Fills in the service worker's precache list and cache version, then
+// minifies it as its own entry. The version is derived from every file's
+// hash, so any change installs a fresh cache. Only minified again when the
+// filled-in source changed; returns whether it was.
+async function writeServiceWorker(output, hashes) {
+  const files = [...hashes.keys()].filter(name => name !== SERVICE_WORKER && !name.endsWith('.map')).sort();
+  const version = contentHash(files.map(name => `${name} ${hashes.get(name)}`).join('\n'));
+  const urls = ['/', ...files].map(url => `  '${url}'`).join(',\n');
+
+  const sw = output.get(SERVICE_WORKER).toString('utf-8');
+  const filled = sw
+    .replace(/^const CACHE_VERSION = .*;$/m, `const CACHE_VERSION = '${version}';`)
+    .replace(/^const PRECACHE_URLS = \[[^\]]*\];$/m, `const PRECACHE_URLS = [\n${urls}\n];`);
+  if (!filled.includes(`'${version}'`) || !filled.includes(urls)) {
+    throw new Error(`${SRC_DIR}/${SERVICE_WORKER} needs CACHE_VERSION and PRECACHE_URLS declarations to fill in`);
+  }
+
+  const minified = previous.worker?.filled !== filled;
+  if (minified) {
+    const outdir = join(WORKER_DIR, 'out');
+    await rm(WORKER_DIR, { recursive: true, force: true });
+    await mkdir(WORKER_DIR, { recursive: true });
+    await writeFile(join(WORKER_DIR, SERVICE_WORKER), filled);
+    await Bun.build({
+      entrypoints: [join(WORKER_DIR, SERVICE_WORKER)],
+      outdir,
+      root: WORKER_DIR,
+      format: 'iife',
+      minify: true,
+      sourcemap: 'linked',
+    });
+    await relinkSourceMaps(outdir, WORKER_DIR);
+    const built = new Map();
+    for (const file of await listFiles(outdir)) built.set(file, await readFile(join(outdir, file)));
+    previous.worker = { filled, built, version, count: files.length + 1 };
+  }
+  for (const [file, content] of previous.worker.built) output.set(file, content);
+  return minified;
+}
+
+// Writes the files whose content changed to dist, then removes the ones that
+// are no longer built. New assets go first and the pages and service worker
+// that refer to them last, so a server reading dist meanwhile never links to
+// a file that is not there yet.
+async function publish(output) {
+  const order = name => (name === SERVICE_WORKER ? 2 : STABLE_NAMES.test(name) ? 1 : 0);
+  let written = 0;
+  for (const name of [...output.keys()].sort((a, b) => order(a) - order(b))) {
+    const hash = contentHash(output.get(name));
+    if (previous.published.get(name) === hash) continue;
+    await mkdir(dirname(join(DIST_DIR, name)), { recursive: true });
+    await writeFile(join(DIST_DIR, name), output.get(name));
+    previous.published.set(name, hash);
+    written++;
+  }
+  let removed = 0;
+  for (const name of [...previous.published.keys()]) {
+    if (output.has(name)) continue;
+    await rm(join(DIST_DIR, name), { force: true });
+    previous.published.delete(name);
+    removed++;
+  }
+  await removeEmptyDirs(DIST_DIR);
+  return { written, removed };
+}
+
+// Raw and gzipped size of every file, largest first
+function sizeReport(output) {
+  const rows = [...output].map(([file, bytes]) => ({
+    file,
+    size: bytes.length,
+    gzip: file.endsWith('.map') ? null : Bun.gzipSync(bytes).length,
+  }));
+  rows.sort((a, b) => b.size - a.size);
+  const kb = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+  const width = Math.max(...rows.map(row => row.file.length));
+  for (const row of rows) {
+    console.log(`  ${row.file.padEnd(width)}  ${kb(row.size).padStart(10)}  ${row.gzip === null ? '' : `${kb(row.gzip).padStart(10)} gzip`}`.trimEnd());
+  }
+  const shipped = rows.filter(row => row.gzip !== null);
+  const total = shipped.reduce((sum, row) => sum + row.size, 0);
+  const gzip = shipped.reduce((sum, row) => sum + row.gzip, 0);
+  console.log(`  ${'total (without source maps)'.padEnd(width)}  ${kb(total).padStart(10)}  ${kb(gzip).padStart(10)} gzip`);
+}
+
+// Builds dist from `changes`: { full } for everything, otherwise { src }
+// (changed paths below src/), { config } and { packages }. A full build
+// starts from an empty cache and compares with what is already in dist.
+async function build(changes) {
+  if (changes.full || changes.config) {
+    const config = await loadBuildConfig(CONFIG_FILE);
+    if (!config) throw new Error(`${CONFIG_FILE} is missing`);
+    previous.config = config;
+    previous.pipeline = createHtmlPipeline({ config, environment: ENVIRONMENT });
+  }
+  if (changes.full) {
+    await rm(CACHE_DIR, { recursive: true, force: true });
+    Object.assign(previous, { scripts: null, renderer: null, prerender: null, worker: null, published: new Map() });
+    await mkdir(DIST_DIR, { recursive: true });
+    for (const file of await listFiles(DIST_DIR)) {
+      previous.published.set(file, contentHash(await readFile(join(DIST_DIR, file))));
+    }
+  }
+
+  const ran = [];
+  const changed = await stage(changes);
+  if (previous.pipeline.pages.some(page => changed.has(page))) ran.push('pages');
+  ran.push(...await bundle(changed));
+  const { output, hashes } = fingerprint(await assemble());
+  addIntegrity(output, hashes);
+  if (await prerender(output, hashes, changed)) ran.push('prerender');
+  if (await writeServiceWorker(output, hashes)) ran.push('service worker');
+  return { ran, output, ...await publish(output) };
+}
+
+// Rebuilds once changes settle, one rebuild at a time. A failed rebuild
+// leaves dist as it was; the next one is a full build, so nothing half-done
+// is carried over.
+function watchSources() {
+  const empty = () => ({ src: new Set(), config: false, packages: false });
+  let pending = empty();
+  let failed = false;
+  let timer = null;
+  let queue = Promise.resolve();
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const changes = failed ? { full: true } : pending;
+      pending = empty();
+      queue = queue.then(async () => {
+        const started = performance.now();
+        try {
+          const { ran, written, removed } = await build(changes);
+          failed = false;
+          const took = Math.round(performance.now() - started);
+          console.log(`Rebuilt ${ran.length ? ran.join(', ') : 'nothing'} in ${took} ms: ${written} files written, ${removed} removed`);
+        } catch (err) {
+          failed = true;
+          console.error('Rebuild failed:', err);
+        }
+      });
+    }, 100);
+  }
+
+  watch(SRC_DIR, { recursive: true }, (event, filename) => {
+    if (!filename) return;
+    pending.src.add(filename.split(sep).join('/'));
+    schedule();
+  });
+  // Editors often save by replacing the file, so its directory is watched
+  watch('.', (event, filename) => {
+    if (filename === CONFIG_FILE) pending.config = true;
+    else if (filename === PACKAGE_FILE) pending.packages = true;
+    else return;
+    schedule();
+  });
+  console.log(`Watching ${SRC_DIR}/, ${CONFIG_FILE} and ${PACKAGE_FILE} for changes...`);
+}
+
+async function main() {
+  if (!ENVIRONMENT || ENVIRONMENT.startsWith('-')) throw new Error('--env needs an environment name');
+  console.log(`Building ${SRC_DIR} into ${DIST_DIR} for ${ENVIRONMENT}...`);
+  const { output, written, removed } = await build({ full: true });
+  const { version, count } = previous.worker;
+  console.log(`Precaching ${count} URLs as cache version ${version}`);
+
+  console.log('Output sizes:');
+  sizeReport(output);
+
+  console.log(`Build complete! ${written} files written, ${removed} removed`);
+  if (WATCH) watchSources();
+}
+
+main().catch(err => {
   console.error('Build failed:', err);
   process.exit(1);
 });
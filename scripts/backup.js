@@ -0,0 +1,122 @@
+// scripts/backup.js
+// Back up or restore your vault through the server's backup endpoints.
+//
+//   bun scripts/backup.js export [--format ndjson|tar] [--out backups] [--keep 14]
+//   bun scripts/backup.js restore <file>
+//
+// Logs in as VAULT_USER with VAULT_PASSWORD (asked for when unset) against
+// VAULT_URL (default http://localhost:8000). Exits non-zero on any failure,
+// so it can run from cron, e.g.
+//   0 3 * * * cd /srv/vault && VAULT_USER=tim VAULT_PASSWORD=... bun scripts/backup.js export --keep 14
+
+import { mkdir, readdir, rename, rm } from 'node:fs/promises';
+import { join } from 'node:path';
+import { BASE_URL, login, logout } from './session.js';
+
+function option(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : fallback;
+}
+
+// NDJSON backups end with an {"end": ...} line; without it the export was cut short.
+async function checkComplete(path) {
+  const text = await Bun.file(path).text();
+  const last = text.trimEnd().split('\n').pop();
+  try {
+    return Boolean(JSON.parse(last).end);
+  } catch {
+    return false;
+  }
+}
+
+async function exportBackup(session, args) {
+  const format = option(args, 'format', 'ndjson');
+  const outDir = option(args, 'out', 'backups');
+  const keep = parseInt(option(args, 'keep', '0'), 10);
+
+  const res = await fetch(`${BASE_URL}/api/backup?format=${encodeURIComponent(format)}`, {
+    headers: { Cookie: session.cookie }
+  });
+  if (!res.ok) throw new Error(`Export failed: ${res.status} ${await res.text()}`);
+
+  const filename = /filename="([^"]+)"/.exec(res.headers.get('content-disposition') || '')?.[1]
+    || `${session.db}-${Date.now()}.${format}`;
+  await mkdir(outDir, { recursive: true });
+  const target = join(outDir, filename);
+  const partial = `${target}.partial`;
+  // Written under a temporary name so a failed run never looks like a backup
+  try {
+    await Bun.write(partial, res);
+  } catch (err) {
+    await rm(partial, { force: true });
+    throw new Error(`Export was interrupted: ${err.message}`);
+  }
+  if (format === 'ndjson' && !(await checkComplete(partial))) {
+    await rm(partial, { force: true });
+    throw new Error('Export was interrupted: the backup has no end marker');
+  }
+  await rename(partial, target);
+  console.log(`Saved ${target}`);
+
+  if (keep > 0) {
+    const old = (await readdir(outDir))
+      .filter(name => name.startsWith(`${session.db}-`) && /\.(ndjson|tar)$/.test(name))
+      .sort()
+      .slice(0, -keep);
+    for (const name of old) {
+      await rm(join(outDir, name));
+      console.log(`Removed old backup ${name}`);
+    }
+  }
+}
+
+async function restoreBackup(session, file) {
+  if (!file) throw new Error('Usage: bun scripts/backup.js restore <file>');
+  const input = Bun.file(file);
+  if (!(await input.exists())) throw new Error(`No such file: ${file}`);
+
+  const res = await fetch(`${BASE_URL}/api/restore`, {
+    method: 'POST',
+    headers: {
+      Cookie: session.cookie,
+      'Content-Type': file.endsWith('.tar') ? 'application/x-tar' : 'application/x-ndjson'
+    },
+    body: input
+  });
+  if (!res.ok) throw new Error(`Restore failed: ${res.status} ${await res.text()}`);
+
+  // Only problems are printed per document; the summary comes last
+  let summary = null;
+  for (const line of (await res.text()).split('\n')) {
+    if (!line) continue;
+    const result = JSON.parse(line);
+    if (result.summary) summary = result.summary;
+    else if (result.error && !result.status) console.error(`Restore stopped: ${result.error}`);
+    else if (result.status === 'conflict' || result.status === 'error') {
+      console.log(`${result.status}: ${result.id ?? `line ${result.line}`} ${result.reason || ''}`);
+    }
+  }
+  if (!summary) throw new Error('Restore ended without a summary');
+  console.log(`Restored ${summary.restored}, conflicts ${summary.conflicts}, skipped ${summary.skipped}, errors ${summary.errors}`);
+  if (!summary.complete) throw new Error('The backup file is incomplete; only part of it was restored');
+  if (summary.errors > 0) process.exitCode = 1;
+}
+
+async function main() {
+  const [command, ...args] = Bun.argv.slice(2);
+  if (command !== 'export' && command !== 'restore') {
+    throw new Error('Usage: bun scripts/backup.js <export|restore> [options]');
+  }
+  const session = await login();
+  try {
+    if (command === 'export') await exportBackup(session, args);
+    else await restoreBackup(session, args[0]);
+  } finally {
+    await logout(session);
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
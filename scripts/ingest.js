@@ -0,0 +1,170 @@
+// scripts/ingest.js
+// Imports a folder of markdown notes as block_document records through the
+// server's CouchDB proxy.
+//
+//   bun scripts/ingest.js <folder> [--dry-run] [--prefix note:]
+//
+// Each file becomes one document, "<prefix><path without .md>" unless its
+// frontmatter sets `id`. Frontmatter fields are copied onto the document and
+// `title` falls back to the first heading. Local images become attachments.
+// Re-runs only write files whose blocks, fields or images changed; --dry-run
+// reports what would be written without writing. Logs in like
+// scripts/backup.js (VAULT_URL, VAULT_USER, VAULT_PASSWORD).
+
+import { dirname, relative, resolve, sep } from 'node:path';
+import { splitFrontmatter, parseBlocks, assignIds } from './markdown.js';
+import { validateCapture } from '../server/capture.js';
+import { BASE_URL, login, logout } from './session.js';
+
+// Frontmatter keys that are not copied onto the document as fields
+const RESERVED = new Set(['id', 'type', 'title', 'blocks', 'source', 'created_at', 'updated_at']);
+
+function option(args, name, fallback) {
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] : fallback;
+}
+
+function isRemote(src) {
+  return /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src);
+}
+
+function md5(bytes) {
+  return `md5-${new Bun.CryptoHasher('md5').update(bytes).digest('base64')}`;
+}
+
+// Turns a markdown file into the document to store, its image files and
+// any warnings about it.
+async function buildDocument(root, file, prefix) {
+  const path = relative(root, file).split(sep).join('/');
+  const { frontmatter, body } = splitFrontmatter(await Bun.file(file).text());
+  const warnings = [];
+  const images = new Map();
+
+  const blocks = [];
+  for (const block of parseBlocks(body)) {
+    if (block.type !== 'image' || isRemote(block.src)) {
+      blocks.push(block);
+      continue;
+    }
+    const target = resolve(dirname(file), decodeURI(block.src.replace(/[?#].*$/, '')));
+    const name = relative(root, target).split(sep).join('/');
+    const image = Bun.file(target);
+    if (name.startsWith('../') || !(await image.exists())) {
+      warnings.push(`image ${block.src} ${name.startsWith('../') ? 'is outside the folder' : 'not found'}; kept as a link`);
+      blocks.push(block);
+      continue;
+    }
+    if (!images.has(name)) {
+      const bytes = new Uint8Array(await image.arrayBuffer());
+      images.set(name, { bytes, digest: md5(bytes), contentType: image.type });
+    }
+    const { src, ...rest } = block;
+    blocks.push({ ...rest, name });
+  }
+
+  const fields = {};
+  for (const [key, value] of Object.entries(frontmatter)) {
+    if (!RESERVED.has(key) && !key.startsWith('_')) fields[key] = value;
+  }
+  const title = String(frontmatter.title ?? blocks.find(block => block.type === 'heading')?.content ?? path.replace(/\.md$/i, ''));
+  const id = String(frontmatter.id ?? `${prefix}${path.replace(/\.md$/i, '')}`);
+
+  const doc = { _id: id, type: 'block_document', title, ...fields, blocks: assignIds(blocks) };
+  const problems = validateCapture(doc);
+  if (problems.length) throw new Error(problems.join('; '));
+
+  // Covers everything a re-run could change, so unchanged files are skipped
+  const hash = new Bun.CryptoHasher('sha256')
+    .update(JSON.stringify({ doc, images: [...images].map(([name, image]) => [name, image.digest]) }))
+    .digest('hex');
+  doc.source = { path, hash };
+  return { doc, images, warnings };
+}
+
+async function proxy(session, id, init = {}) {
+  const res = await fetch(`${BASE_URL}/db-proxy/${encodeURIComponent(id)}`, {
+    ...init,
+    headers: { Cookie: session.cookie, 'Content-Type': 'application/json', ...init.headers }
+  });
+  const body = await res.json().catch(() => ({}));
+  return { status: res.status, ok: res.ok, body };
+}
+
+async function writeDocument(session, { doc, images }, existing) {
+  const now = new Date().toISOString();
+  const record = {
+    ...doc,
+    created_at: existing?.created_at ?? now,
+    updated_at: now,
+    ...(existing && { _rev: existing._rev })
+  };
+  if (images.size) {
+    record._attachments = {};
+    for (const [name, image] of images) {
+      // Unchanged images stay as they are; CouchDB drops any left out
+      record._attachments[name] = existing?._attachments?.[name]?.digest === image.digest
+        ? { stub: true }
+        : { content_type: image.contentType, data: Buffer.from(image.bytes).toString('base64') };
+    }
+  }
+  const result = await proxy(session, doc._id, { method: 'PUT', body: JSON.stringify(record) });
+  if (!result.ok) throw new Error(`write failed: ${result.status} ${result.body.reason || result.body.error || ''}`.trim());
+}
+
+async function main() {
+  const args = Bun.argv.slice(2);
+  const folder = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--prefix');
+  if (!folder) throw new Error('Usage: bun scripts/ingest.js <folder> [--dry-run] [--prefix note:]');
+  const dryRun = args.includes('--dry-run');
+  const prefix = option(args, 'prefix', 'note:');
+  const root = resolve(folder);
+
+  const files = [];
+  for await (const path of new Bun.Glob('**/*.md').scan({ cwd: root })) files.push(resolve(root, path));
+  files.sort();
+  if (!files.length) throw new Error(`No .md files in ${folder}`);
+
+  const session = await login();
+  const counts = { create: 0, update: 0, unchanged: 0, failed: 0 };
+  const seen = new Map();
+  try {
+    for (const file of files) {
+      const path = relative(root, file).split(sep).join('/');
+      let action;
+      let note = '';
+      try {
+        const built = await buildDocument(root, file, prefix);
+        const { doc, images, warnings } = built;
+        if (seen.has(doc._id)) throw new Error(`id ${doc._id} is also used by ${seen.get(doc._id)}`);
+        seen.set(doc._id, path);
+
+        const current = await proxy(session, doc._id);
+        if (!current.ok && current.status !== 404) throw new Error(`read failed: ${current.status}`);
+        const existing = current.ok ? current.body : null;
+        action = !existing ? 'create' : existing.source?.hash === doc.source.hash ? 'unchanged' : 'update';
+        if (action !== 'unchanged' && !dryRun) await writeDocument(session, built, existing);
+
+        note = `${doc._id} (${doc.blocks.length} blocks, ${images.size} images)`;
+        warnings.forEach(warning => { note += `\n    warning: ${warning}`; });
+      } catch (err) {
+        action = 'failed';
+        note = err.message;
+      }
+      counts[action]++;
+      const label = dryRun && (action === 'create' || action === 'update') ? `would ${action}` : action;
+      console.log(`${label.padEnd(12)} ${path}  ${note}`);
+    }
+  } finally {
+    await logout(session);
+  }
+
+  console.log(dryRun
+    ? `\nDry run: ${counts.create} to create, ${counts.update} to update, ${counts.unchanged} unchanged, ${counts.failed} failed`
+    : `\n${counts.create} created, ${counts.update} updated, ${counts.unchanged} unchanged, ${counts.failed} failed`);
+  if (counts.failed) process.exitCode = 1;
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
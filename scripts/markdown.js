@@ -0,0 +1,206 @@
+// scripts/markdown.js
+// Splits a markdown file into block_document blocks: heading, paragraph,
+// list, code, table, image, plus quote and divider. Inline markdown inside
+// blocks is kept as written.
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)\s*$/;
+const DIVIDER = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const QUOTE = /^ {0,3}>\s?(.*)$/;
+const IMAGE = /!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["']([^"']*)["'])?\s*\)/g;
+
+/**
+ * Separates YAML frontmatter from the body.
+ * @param {string} text
+ * @returns {{frontmatter: object, body: string}}
+ */
+export function splitFrontmatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)\s*(?:\r?\n|$)/.exec(text);
+  if (!match) return { frontmatter: {}, body: text };
+  const frontmatter = Bun.YAML.parse(match[1]) ?? {};
+  if (typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+    throw new Error('Frontmatter must be a YAML mapping');
+  }
+  return { frontmatter, body: text.slice(match[0].length) };
+}
+
+function splitRow(line) {
+  return line.trim().replace(/^\|/, '').replace(/\|$/, '')
+    .split(/(?<!\\)\|/)
+    .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function alignment(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  if (left) return 'left';
+  return null;
+}
+
+// Text blocks are split around their images, so every image gets a block.
+function textBlocks(type, text, extra = {}) {
+  const blocks = [];
+  let last = 0;
+  for (const match of text.matchAll(IMAGE)) {
+    const before = text.slice(last, match.index).trim();
+    if (before) blocks.push({ type, content: before, ...extra });
+    const [, alt, src, title] = match;
+    blocks.push({ type: 'image', src, alt, ...(title && { title }) });
+    last = match.index + match[0].length;
+  }
+  const rest = text.slice(last).trim();
+  if (rest) blocks.push({ type, content: rest, ...extra });
+  return blocks;
+}
+
+/**
+ * Parses markdown into blocks (without ids).
+ * @param {string} body - Markdown without frontmatter.
+ * @returns {object[]}
+ */
+export function parseBlocks(body) {
+  const lines = body.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(...textBlocks('paragraph', paragraph.join('\n')));
+    paragraph = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      flushParagraph();
+      const [, marker, language] = fence;
+      const content = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+        content.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push({ type: 'code', language: language || null, content: content.join('\n') });
+      continue;
+    }
+
+    const heading = ATX_HEADING.exec(line);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, content: heading[2] || '' });
+      i++;
+      continue;
+    }
+
+    // "Title\n=====" headings; a lone "---" after text is a heading, not a divider
+    const underline = SETEXT_UNDERLINE.exec(line);
+    if (underline && paragraph.length) {
+      const content = paragraph.join('\n');
+      paragraph = [];
+      blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, content });
+      i++;
+      continue;
+    }
+
+    if (DIVIDER.test(line)) {
+      flushParagraph();
+      blocks.push({ type: 'divider' });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+      flushParagraph();
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(alignment);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, c) => cells[c] ?? ''));
+        i++;
+      }
+      blocks.push({ type: 'table', header, align, rows });
+      continue;
+    }
+
+    const item = LIST_ITEM.exec(line);
+    if (item && (paragraph.length === 0 || !/^\d/.test(item[2]) || item[2].startsWith('1'))) {
+      flushParagraph();
+      const ordered = /^\d/.test(item[2]);
+      const items = [];
+      const baseIndent = item[1].length;
+      while (i < lines.length) {
+        const current = LIST_ITEM.exec(lines[i]);
+        if (current && /^\d/.test(current[2]) === ordered || current && current[1].length > baseIndent) {
+          const depth = Math.floor(Math.max(0, current[1].length - baseIndent) / 2);
+          const task = /^\[([ xX])\]\s+(.*)$/.exec(current[3]);
+          items.push({
+            content: task ? task[2] : current[3],
+            depth,
+            ...(task && { checked: task[1] !== ' ' }),
+          });
+          i++;
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          // Indented continuation of the previous item
+          items[items.length - 1].content += `\n${lines[i].trim()}`;
+          i++;
+        } else if (!lines[i].trim() && i + 1 < lines.length && (LIST_ITEM.test(lines[i + 1]) || /^\s+\S/.test(lines[i + 1]))) {
+          // Loose lists: blank lines between items
+          i++;
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: 'list', ordered, items });
+      continue;
+    }
+
+    const quote = QUOTE.exec(line);
+    if (quote) {
+      flushParagraph();
+      const content = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        content.push(QUOTE.exec(lines[i])[1]);
+        i++;
+      }
+      blocks.push(...textBlocks('quote', content.join('\n')));
+      continue;
+    }
+
+    paragraph.push(line.trim());
+    i++;
+  }
+  flushParagraph();
+  return blocks;
+}
+
+/**
+ * Gives blocks ids derived from their content, so re-importing an edited
+ * file keeps the ids of unchanged blocks. Repeats get a -2, -3... suffix.
+ * @param {object[]} blocks
+ * @returns {object[]}
+ */
+export function assignIds(blocks) {
+  const seen = new Map();
+  return blocks.map(block => {
+    const hash = new Bun.CryptoHasher('sha1').update(JSON.stringify(block)).digest('hex').slice(0, 10);
+    const count = (seen.get(hash) || 0) + 1;
+    seen.set(hash, count);
+    return { id: count > 1 ? `b${hash}-${count}` : `b${hash}`, ...block };
+  });
+}
@@ -0,0 +1,42 @@
+// scripts/password.js
+// Reads a password from the terminal without echoing it.
+
+/**
+ * Prompts for a password with echo turned off. Without a terminal to read
+ * from (cron, pipes) it fails, so the password has to come from VAULT_PASSWORD.
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+export function readPassword(question) {
+  const { stdin, stdout } = process;
+  if (!stdin.isTTY) {
+    return Promise.reject(new Error('No terminal to ask for the password; set VAULT_PASSWORD'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let password = '';
+
+    function finish(err) {
+      stdin.off('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stdout.write('\n');
+      if (err) reject(err);
+      else resolve(password);
+    }
+
+    function onData(chunk) {
+      for (const char of chunk.toString('utf-8')) {
+        if (char === '\r' || char === '\n' || char === '\u0004') return finish();
+        if (char === '\u0003') return finish(new Error('Cancelled'));
+        if (char === '\u007f' || char === '\b') password = password.slice(0, -1);
+        else password += char;
+      }
+    }
+
+    stdout.write(`${question} `);
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
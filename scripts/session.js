@@ -0,0 +1,36 @@
+// scripts/session.js
+// Logs the command-line scripts in to the vault server.
+//
+// Uses VAULT_URL (default http://localhost:8000), VAULT_USER and
+// VAULT_PASSWORD; missing credentials are asked for, the password without
+// echoing it.
+
+import { readPassword } from './password.js';
+
+export const BASE_URL = (process.env.VAULT_URL || 'http://localhost:8000').replace(/\/+$/, '');
+
+/**
+ * Starts a session.
+ * @returns {Promise<{cookie: string, user: string, db: string}>}
+ */
+export async function login() {
+  const username = process.env.VAULT_USER || prompt('User:');
+  const password = process.env.VAULT_PASSWORD || await readPassword(`Password for ${username}:`);
+  const res = await fetch(`${BASE_URL}/api/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(`Login failed: ${data.error || res.status}`);
+  const cookie = res.headers.get('set-cookie')?.split(';')[0];
+  return { cookie, user: data.user, db: data.db };
+}
+
+/**
+ * Ends the session; failures are ignored.
+ * @param {{cookie: string}} session
+ */
+export async function logout(session) {
+  await fetch(`${BASE_URL}/api/logout`, { method: 'POST', headers: { Cookie: session.cookie } }).catch(() => {});
+}
@@ -0,0 +1,50 @@
+// scripts/users.js
+// Manage the server's local user file.
+//
+//   bun scripts/users.js add <name>      (asks for the password without echoing it, or reads VAULT_PASSWORD)
+//   bun scripts/users.js remove <name>
+//   bun scripts/users.js list
+//
+// The file is the one the server uses (auth.usersFile): server options such
+// as --config <file> or --dev may follow, and USERS_FILE still overrides it.
+
+import { readUsers, setUserPassword, removeUser } from '../server/auth.js';
+import { loadServerConfig } from '../server/config.js';
+import { readPassword } from './password.js';
+
+async function main() {
+  const args = Bun.argv.slice(2);
+  const command = args.shift();
+  const name = args[0] && !args[0].startsWith('-') ? args.shift() : undefined;
+  const { config } = await loadServerConfig({ args, needsCouch: false });
+  const { usersFile } = config.auth;
+
+  switch (command) {
+    case 'add': {
+      if (!name) throw new Error('Usage: bun scripts/users.js add <name>');
+      const password = process.env.VAULT_PASSWORD || await readPassword(`Password for ${name}:`);
+      if (!password || password.length < 8) throw new Error('Password must be at least 8 characters');
+      await setUserPassword(usersFile, name, password);
+      console.log(`Saved user "${name}" to ${usersFile}`);
+      break;
+    }
+    case 'remove': {
+      if (!name) throw new Error('Usage: bun scripts/users.js remove <name>');
+      const removed = await removeUser(usersFile, name);
+      console.log(removed ? `Removed user "${name}"` : `No user named "${name}"`);
+      break;
+    }
+    case 'list': {
+      const users = await readUsers(usersFile);
+      Object.keys(users).forEach(user => console.log(user));
+      break;
+    }
+    default:
+      throw new Error('Usage: bun scripts/users.js <add|remove|list> [name]');
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,80 +1,430 @@
+import { createCouch, userDatabase } from "./server/couch.js";
+import { handleCapture, hasCaptureToken } from "./server/capture.js";
+import { createAuth } from "./server/auth.js";
+import { createMockCouch } from "./server/mock-couch.js";
+import { createLiveReload, LIVERELOAD_PATH } from "./server/livereload.js";
+import { createStaticHandler } from "./server/static.js";
+import { VENDOR_PREFIX, vendorFile } from "./server/vendor.js";
+import { loadBuildConfig, createHtmlPipeline } from "./server/html-pipeline.js";
+import { loadPolicy } from "./server/policy.js";
+import { createMetrics } from "./server/metrics.js";
+import { checkReadiness } from "./server/health.js";
+import { createAccessLog, requestId } from "./server/logger.js";
+import { renderToString, injectApp } from "./server/ssr.js";
+import { createBackups } from "./server/backup.js";
+import { loadWebhookConfig, createWebhooks } from "./server/webhooks.js";
+import { createEventRelay } from "./server/events.js";
+import { loadJobConfig, createJobs } from "./server/jobs.js";
+import { CA_PATH, developmentCertificate, loadCertificate, localHosts } from "./server/tls.js";
+import { loadServerConfig, describeConfig } from "./server/config.js";
+import { components, initialState, createLayout } from "./src/app.js";
+
 const args = Bun.argv.slice(2);
 
-// Mode detection: Default to Prod, unless --dev is present
-const isDev = args.includes("--dev");
+// Settings from server.config.json, the environment and arguments; invalid
+// settings stop the server here with a list of what to fix
+let resolved;
+try {
+  resolved = await loadServerConfig({ args });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+if (args.includes("--print-config")) {
+  console.log(describeConfig(resolved));
+  process.exit(0);
+}
+const { config } = resolved;
+
+const isDev = config.mode === "development";
 const isProd = !isDev;
-const rootDir = isProd ? "dist" : "src";
+const rootDir = config.rootDir;
+const PORT = config.port;
 
-// Parse port from arguments: --port 8000 or -p 8000
-const portIndex = args.findIndex(arg => arg === "--port" || arg === "-p");
-const argPort = portIndex !== -1 ? parseInt(args[portIndex + 1]) : null;
+// HTTPS with tls.cert and tls.key, or --https for a generated development
+// certificate that covers this machine's LAN addresses. --http-redirect <port>
+// also listens on plain HTTP and redirects to HTTPS.
+const useGeneratedCert = config.tls.generate && !config.tls.cert;
+let tls = null;
+if (config.tls.cert) {
+  tls = await loadCertificate(config.tls.cert, config.tls.key);
+} else if (useGeneratedCert) {
+  tls = await developmentCertificate({ dir: config.tls.dir, hosts: localHosts(config.tls.hosts) });
+}
 
-// Fallback logic: Argument > Env > Default (8000 for prod, 3000 for dev)
-const PORT = argPort || (isProd ? process.env.PORT : process.env.DEV_PORT) || (isProd ? 8000 : 3000);
+// --mock-couch answers CouchDB requests in-process (memory, or a JSON file
+// given with --mock-couch-file) for offline development and tests
+const useMockCouch = config.couch.mock;
+const mockCouch = useMockCouch ? createMockCouch({ file: config.couch.mockFile }) : null;
 
-const COUCHDB_URL = process.env.COUCHDB_URL;
-const COUCHDB_USER = process.env.COUCHDB_USER;
-const COUCHDB_PASSWORD = process.env.COUCHDB_PASSWORD;
-const COUCHDB_AUTH = Buffer.from(`${COUCHDB_USER}:${COUCHDB_PASSWORD}`).toString("base64");
+const couch = useMockCouch
+  ? createCouch({ url: "http://mock-couch/juris-db", user: "admin", password: "mock", fetch: mockCouch.fetch })
+  : createCouch({ url: config.couch.url, user: config.couch.user, password: config.couch.password });
+if (useMockCouch) await couch.ensureDatabase(couch.dbName);
 
-const server = Bun.serve({
-  port: PORT,
-  hostname: "0.0.0.0",
-  idleTimeout: 254, 
-  async fetch(req) {
-    try {
-      const url = new URL(req.url);
-      let path = url.pathname;
-
-      if (path === "/favicon.ico") return new Response(null, { status: 204 });
-
-      // CouchDB Proxy
-      if (path.startsWith("/db-proxy")) {
-        const proxyPath = path.replace("/db-proxy", "");
-        const targetUrl = `${COUCHDB_URL}${proxyPath}${url.search}`;
-        const headers = new Headers(req.headers);
-        headers.set("Authorization", `Basic ${COUCHDB_AUTH}`);
-        headers.delete("host");
-        headers.delete("connection");
-        headers.delete("content-length");
-        headers.delete("accept-encoding");
-
-        const fetchOptions = { method: req.method, headers, redirect: "follow" };
-        if (req.method !== "GET" && req.method !== "HEAD") fetchOptions.body = req.body;
-
-        const proxiedResponse = await fetch(targetUrl, fetchOptions);
-        const responseHeaders = new Headers(proxiedResponse.headers);
-        responseHeaders.delete("content-encoding");
-        responseHeaders.delete("transfer-encoding");
-        responseHeaders.delete("content-length");
-        
-        return new Response(proxiedResponse.body, {
-          status: proxiedResponse.status,
-          statusText: proxiedResponse.statusText,
-          headers: responseHeaders,
-        });
-      }
+// Each user syncs their own remote database, e.g. vault-tim
+const DB_PREFIX = config.couch.dbPrefix;
+const databaseFor = (user) => userDatabase(user, DB_PREFIX);
+// Token captures go to this user's database; a bad name fails here, not on the first capture
+if (config.capture.user) databaseFor(config.capture.user);
+
+// Allowlist of databases, paths and methods the proxy will forward
+const proxyPolicy = await loadPolicy(config.proxy.policyFile);
+
+// Sessions: users are managed with `bun scripts/users.js`
+const auth = createAuth({
+  usersFile: config.auth.usersFile,
+  sessionsFile: config.auth.sessionsFile,
+  sessionTtl: config.auth.sessionTtlHours * 3600,
+  databaseFor,
+});
+
+// Streaming export and import of each user's database
+const backups = createBackups({ couch });
+// Restores are streamed, but Bun still caps request bodies (default 128 MB)
+const MAX_BODY_BYTES = config.maxBodyMb * 1024 * 1024;
+
+// Changes feed as Server-Sent Events (/events)
+const events = createEventRelay({ couch });
+
+// Scheduled maintenance from jobs.json; status at /api/admin/jobs for the
+// users listed in auth.adminUsers
+const ADMIN_USERS = new Set(config.auth.adminUsers);
+const jobConfig = await loadJobConfig(config.jobs.file);
+const jobs = jobConfig ? createJobs({ couch, backups, config: jobConfig, stateFile: config.jobs.stateFile }) : null;
+
+// Dev mode reloads open pages when anything in src/ changes, and gives them
+// the development settings from build.config.json (builds have their own)
+const liveReload = isDev ? createLiveReload({ dir: rootDir }) : null;
+const buildConfig = isDev ? await loadBuildConfig(config.buildConfigFile) : null;
+const pipeline = buildConfig ? createHtmlPipeline({ config: buildConfig, environment: "development" }) : null;
+
+function transformHtml(html, page) {
+  if (pipeline) html = pipeline.transform(html, page);
+  return liveReload ? liveReload.inject(html) : html;
+}
+
+const staticFiles = createStaticHandler({ rootDir, dev: isDev, transformHtml: isDev ? transformHtml : null });
+
+// Server-side rendering: index.html arrives with the app already rendered
+// for the session, plus the state the client hydrates it with. With ssr off
+// the plain page is served and rendering is left to the browser.
+const useSsr = config.ssr;
+
+async function appState(req) {
+  const states = structuredClone(initialState);
+  const session = await auth.getSession(req);
+  if (!session) return states;
+  const db = databaseFor(session.user);
+  states.auth.session = { user: session.user, db };
+  // The count is a nicety; never hold the page up for it
+  try {
+    const res = await couch.fetch(`${couch.databaseUrl(db)}/counter`, {
+      headers: { Authorization: couch.auth },
+      signal: AbortSignal.timeout(1000),
+    });
+    if (res.ok) states.count = (await res.json()).value ?? states.count;
+  } catch (err) {
+    console.warn(`SSR: could not load the counter for ${session.user}:`, err.message);
+  }
+  return states;
+}
+
+async function renderPage(req, path) {
+  const file = Bun.file(`${rootDir}${path}`);
+  if (!(await file.exists())) return null;
+  try {
+    const states = await appState(req);
+    const markup = await renderToString(createLayout, { components, states });
+    let html = injectApp(await file.text(), markup, states);
+    if (html === null) return null;
+    if (isDev) html = transformHtml(html, path.slice(1));
+    return new Response(req.method === "HEAD" ? null : html, {
+      headers: {
+        "Content-Type": "text/html;charset=utf-8",
+        "Cache-Control": isDev ? "no-store" : "no-cache",
+        "Vary": "Cookie",
+      },
+    });
+  } catch (err) {
+    // The browser can still render the page itself
+    console.error("SSR failed, serving the static page:", err);
+    return null;
+  }
+}
+
+// Request counts and latencies for /metrics, labelled by a fixed set of
+// route names so arbitrary URLs cannot blow up the label space
+const metrics = createMetrics();
+const ROUTES = new Set([
+  "/api/capture", "/api/login", "/api/logout", "/api/session", "/api/backup", "/api/restore",
+  "/events", "/api/admin/jobs", "/healthz", "/readyz", "/metrics", CA_PATH, LIVERELOAD_PATH,
+]);
+
+function routeName(path) {
+  if (path === "/db-proxy" || path.startsWith("/db-proxy/")) return "/db-proxy";
+  if (path.startsWith("/api/admin/jobs/")) return "/api/admin/jobs";
+  if (ROUTES.has(path)) return path;
+  return path.startsWith("/api/") ? "/api/other" : "static";
+}
+
+// A browser loading a page, as opposed to fetching an asset or calling an API
+function isNavigation(req, path) {
+  if (req.method !== "GET" && req.method !== "HEAD") return false;
+  if (/^\/(api|db-proxy|events|tls)(\/|$)/.test(path) || path.startsWith("/__")) return false;
+  if (/\.[^/]*$/.test(path)) return false;
+  return req.headers.get("sec-fetch-mode") === "navigate" || (req.headers.get("accept") || "").includes("text/html");
+}
+
+// JSON-lines access log; a file of "-" writes to stdout instead
+const accessLog = createAccessLog({
+  file: config.accessLog.file,
+  maxBytes: config.accessLog.maxMb * 1024 * 1024,
+  maxFiles: config.accessLog.files,
+  echo: isDev,
+});
+
+// The development CA, in the format phones offer to install
+function caCertificate() {
+  return new Response(tls.ca, {
+    headers: {
+      "Content-Type": "application/x-x509-ca-cert",
+      "Content-Disposition": 'attachment; filename="vault-dev-ca.crt"',
+    },
+  });
+}
+
+// `ctx` collects per-request details for the access log (id, user, CouchDB status)
+async function handleRequest(req, ctx) {
+  const url = new URL(req.url);
+  let path = url.pathname;
+
+  if (path === "/favicon.ico") return new Response(null, { status: 204 });
+  if (path === CA_PATH && tls?.ca) return caCertificate();
+
+  // Liveness, readiness (CouchDB reachable with our credentials) and metrics
+  if (path === "/healthz") return Response.json({ status: "ok", uptime: process.uptime() });
+  if (path === "/readyz") {
+    const { ok, checks } = await checkReadiness(couch);
+    return Response.json({ status: ok ? "ok" : "unavailable", checks }, { status: ok ? 200 : 503 });
+  }
+  if (path === "/metrics") return metrics.render();
 
-      if (path === "/") path = "/index.html";
-      const file = Bun.file(`${rootDir}${path}`);
-      
-      if (await file.exists()) {
-        const responseHeaders = new Headers();
-        if (path !== "/icon.svg" || req.headers.get('referer')) {
-            console.log(`[${new Date().toISOString()}] ${req.method} ${path}`);
-        }
-        if (path.endsWith(".svg") || path.endsWith(".json") || path.endsWith(".js")) {
-          responseHeaders.set("Cache-Control", "public, max-age=3600");
-        }
-        return new Response(file, { headers: responseHeaders });
+  // Automation capture hook (n8n): with the capture token documents go to
+  // capture.user's database, with a login to the logged-in user's
+  if (path === "/api/capture") {
+    if (hasCaptureToken(req, config.capture.token)) {
+      ctx.user = config.capture.user;
+    } else {
+      const session = await auth.getSession(req);
+      if (!session) {
+        return Response.json(
+          { success: false, error: "A capture token or a login is required" },
+          { status: 401, headers: { "WWW-Authenticate": 'Bearer realm="capture"' } }
+        );
       }
+      ctx.user = session.user;
+    }
+    return await handleCapture(req, couch, databaseFor(ctx.user));
+  }
+
+  // Login, logout and session status
+  const authResponse = await auth.handle(req, path);
+  if (authResponse) return authResponse;
+
+  // Backup and restore of the logged-in user's database
+  if (path === "/api/backup" || path === "/api/restore") {
+    const session = await auth.getSession(req);
+    if (!session) return Response.json({ error: "unauthorized" }, { status: 401 });
+    ctx.user = session.user;
+    const database = databaseFor(session.user);
+    return path === "/api/backup" ? backups.exportDatabase(req, database) : backups.restoreDatabase(req, database);
+  }
+
+  // Changes to the logged-in user's database, for clients without PouchDB
+  if (path === "/events") {
+    const session = await auth.getSession(req);
+    if (!session) return Response.json({ error: "unauthorized" }, { status: 401 });
+    ctx.user = session.user;
+    return await events.connect(req, databaseFor(session.user));
+  }
+
+  // Maintenance job status and manual runs
+  if (path === "/api/admin/jobs" || path.startsWith("/api/admin/jobs/")) {
+    const session = await auth.getSession(req);
+    if (!session) return Response.json({ error: "unauthorized" }, { status: 401 });
+    ctx.user = session.user;
+    if (!ADMIN_USERS.has(session.user)) return Response.json({ error: "forbidden" }, { status: 403 });
+    if (!jobs) return Response.json({ jobs: [] });
+    return jobs.handle(req, path.slice("/api/admin/jobs".length));
+  }
+
+  // CouchDB Proxy
+  if (path === "/db-proxy" || path.startsWith("/db-proxy/")) {
+    const session = await auth.getSession(req);
+    if (!session) {
+      return Response.json({ error: "unauthorized", reason: "Login required" }, { status: 401 });
+    }
+    ctx.user = session.user;
+
+    const database = databaseFor(session.user);
+    const proxyPath = path.replace("/db-proxy", "");
+    const denied = proxyPolicy.check(database, req.method, proxyPath);
+    if (denied) {
+      console.warn(`[${new Date().toISOString()}] Proxy denied for ${session.user}: ${req.method} ${path} (${denied})`);
+      return Response.json({ error: "forbidden", reason: denied }, { status: 403 });
+    }
+
+    await couch.ensureDatabase(database);
+    const targetUrl = `${couch.databaseUrl(database)}${proxyPath}${url.search}`;
+    const headers = new Headers(req.headers);
+    headers.set("Authorization", couch.auth);
+    headers.set("X-Request-ID", ctx.id);
+    headers.delete("host");
+    headers.delete("cookie");
+    headers.delete("connection");
+    headers.delete("content-length");
+    headers.delete("accept-encoding");
+
+    const fetchOptions = { method: req.method, headers, redirect: "follow" };
+    if (req.method !== "GET" && req.method !== "HEAD") fetchOptions.body = req.body;
+
+    // Long-polling and continuous _changes feeds legitimately wait for a long time
+    const feed = proxyPath.endsWith("/_changes") && (url.searchParams.get("feed") || "normal") !== "normal";
+    const timeoutSeconds = feed ? config.proxy.feedTimeoutSeconds : config.proxy.timeoutSeconds;
+    const timeout = new AbortController();
+    const timer = timeoutSeconds ? setTimeout(() => timeout.abort(), timeoutSeconds * 1000) : null;
+    fetchOptions.signal = timeout.signal;
+
+    const proxyStarted = performance.now();
+    let proxiedResponse;
+    try {
+      proxiedResponse = await couch.fetch(targetUrl, fetchOptions);
+    } catch (err) {
+      if (!timeout.signal.aborted) throw err;
+      console.warn(`[${new Date().toISOString()}] CouchDB did not answer ${req.method} ${proxyPath} within ${timeoutSeconds}s`);
+      metrics.recordProxy(req.method, 504, performance.now() - proxyStarted);
+      return Response.json({ error: "gateway_timeout", reason: `CouchDB did not answer within ${timeoutSeconds}s` }, { status: 504 });
+    } finally {
+      clearTimeout(timer);
+    }
+    metrics.recordProxy(req.method, proxiedResponse.status, performance.now() - proxyStarted);
+    ctx.couchStatus = proxiedResponse.status;
+    ctx.couchRequestId = proxiedResponse.headers.get("x-couch-request-id");
+    const responseHeaders = new Headers(proxiedResponse.headers);
+    responseHeaders.delete("content-encoding");
+    responseHeaders.delete("transfer-encoding");
+    responseHeaders.delete("content-length");
+    
+    return new Response(proxiedResponse.body, {
+      status: proxiedResponse.status,
+      statusText: proxiedResponse.statusText,
+      headers: responseHeaders,
+    });
+  }
 
-      return new Response("Not found", { status: 404 });
+  // Live reload events, and a service worker that removes itself (dev only)
+  if (liveReload) {
+    if (path === LIVERELOAD_PATH) return liveReload.connect();
+    if (path === "/sw.js") return liveReload.serviceWorker();
+  }
+
+  // Third-party scripts straight from node_modules; builds copy them into dist
+  if (isDev && path.startsWith(VENDOR_PREFIX)) {
+    const file = await vendorFile(path.slice(VENDOR_PREFIX.length));
+    if (file) {
+      return new Response(Bun.file(file), {
+        headers: { "Content-Type": "text/javascript;charset=utf-8", "Cache-Control": "no-store" },
+      });
+    }
+  }
+
+  // Files first; page loads of client-side routes (/doc/<id>) get the app shell
+  if (path === "/") path = "/index.html";
+  if (path !== "/index.html") {
+    const response = await staticFiles.serve(req, path);
+    if (response) return response;
+    if (!isNavigation(req, path)) return staticFiles.notFound(req);
+    // Routes the build prerendered, e.g. dist/about/index.html for /about
+    const prerendered = await staticFiles.serve(req, `${path.replace(/\/$/, "")}/index.html`);
+    if (prerendered) return prerendered;
+  }
+  if (useSsr && (req.method === "GET" || req.method === "HEAD")) {
+    const page = await renderPage(req, "/index.html");
+    if (page) return page;
+  }
+  return (await staticFiles.serve(req, "/index.html")) || staticFiles.notFound(req);
+}
+
+const server = Bun.serve({
+  port: PORT,
+  hostname: config.host,
+  idleTimeout: config.idleTimeoutSeconds,
+  maxRequestBodySize: MAX_BODY_BYTES,
+  tls: tls ? { cert: tls.cert, key: tls.key } : undefined,
+  async fetch(req, server) {
+    const started = performance.now();
+    const url = new URL(req.url);
+    const route = routeName(url.pathname);
+    const ctx = { id: requestId(req), user: null, couchStatus: null, couchRequestId: null };
+    let response;
+    try {
+      response = await handleRequest(req, ctx);
     } catch (err) {
-      console.error("Fetch error:", err);
-      return new Response("Internal Server Error", { status: 500 });
+      console.error(`Fetch error (request ${ctx.id}):`, err);
+      metrics.recordError(route);
+      response = new Response("Internal Server Error", { status: 500 });
     }
+    metrics.recordRequest(route, req.method, response.status, performance.now() - started);
+    response.headers.set("X-Request-ID", ctx.id);
+
+    return accessLog.track(response, {
+      id: ctx.id,
+      method: req.method,
+      path: url.pathname,
+      route,
+      ip: req.headers.get("x-forwarded-for")?.split(",")[0].trim() || server.requestIP(req)?.address,
+      user: ctx.user,
+      couch_status: ctx.couchStatus,
+      couch_request_id: ctx.couchRequestId,
+      user_agent: req.headers.get("user-agent"),
+    }, started);
   },
 });
 
-console.log(`Server running at http://localhost:${server.port} (${isProd ? "PROD" : "DEV"} mode) serving from ./${rootDir}`);
\ No newline at end of file
+console.log(`Server running at ${tls ? "https" : "http"}://localhost:${server.port} (${isProd ? "PROD" : "DEV"} mode) serving from ./${rootDir}${useMockCouch ? " with mock CouchDB" : ""}`);
+if (useGeneratedCert) {
+  const lan = localHosts().filter(host => /^\d+\.\d+\.\d+\.\d+$/.test(host) && host !== "127.0.0.1");
+  lan.forEach(host => console.log(`  on your network: https://${host}:${server.port} (install the CA from ${CA_PATH} first)`));
+}
+
+// Plain HTTP: sends everything to HTTPS, except the CA certificate, which
+// devices need before they can trust the HTTPS side
+if (config.tls.httpRedirectPort) {
+  Bun.serve({
+    port: config.tls.httpRedirectPort,
+    hostname: config.host,
+    fetch(req) {
+      const url = new URL(req.url);
+      if (url.pathname === CA_PATH && tls.ca) return caCertificate();
+      url.protocol = "https:";
+      url.port = String(server.port);
+      return Response.redirect(url.href, 308);
+    },
+  });
+  console.log(`Redirecting http://localhost:${config.tls.httpRedirectPort} to HTTPS`);
+}
+
+if (jobs) await jobs.start();
+
+// Outbound webhooks are off unless webhooks.json exists
+const webhookConfig = await loadWebhookConfig(config.webhooks.file);
+if (webhookConfig) {
+  await createWebhooks({
+    couch,
+    config: webhookConfig,
+    checkpointFile: config.webhooks.checkpointFile,
+    deadLetterFile: config.webhooks.deadLetterFile,
+    metrics,
+  }).start();
+}
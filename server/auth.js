@@ -0,0 +1,256 @@
+// server/auth.js
+// Local user file, cookie sessions and the /api/login, /api/logout and
+// /api/session routes.
+
+import { mkdir, readFile, writeFile, rename, rm } from "node:fs/promises";
+import { dirname } from "node:path";
+
+export const SESSION_COOKIE = "vault_session";
+
+// User names become part of the user's database name, so keep them simple.
+const USER_NAME = /^[a-z][a-z0-9_-]{0,63}$/;
+
+// Verified against when the user name is unknown, so a miss costs the
+// same time as a wrong password.
+const DUMMY_HASH = await Bun.password.hash("not-a-real-password");
+
+async function readJson(path, fallback) {
+  try {
+    return JSON.parse(await readFile(path, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+}
+
+// Each write gets its own temp file, so concurrent saves (a login racing a
+// logout) never rename each other's half-written file into place
+async function writeJson(path, data) {
+  await mkdir(dirname(path), { recursive: true });
+  const tmp = `${path}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  try {
+    await writeFile(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+    await rename(tmp, path);
+  } catch (err) {
+    await rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+/**
+ * Reads the user file: { "users": { "<name>": { "hash": "<argon2id>" } } }.
+ * @param {string} usersFile
+ * @returns {Promise<object>}
+ */
+export async function readUsers(usersFile) {
+  const data = await readJson(usersFile, { users: {} });
+  return data.users || {};
+}
+
+/**
+ * Adds a user or replaces their password.
+ * @param {string} usersFile
+ * @param {string} name
+ * @param {string} password
+ */
+export async function setUserPassword(usersFile, name, password) {
+  if (!USER_NAME.test(name)) {
+    throw new Error("User names must start with a lowercase letter and contain only a-z, 0-9, _ and -");
+  }
+  const users = await readUsers(usersFile);
+  users[name] = { ...users[name], hash: await Bun.password.hash(password) };
+  await writeJson(usersFile, { users });
+}
+
+/**
+ * Removes a user.
+ * @param {string} usersFile
+ * @param {string} name
+ * @returns {Promise<boolean>} False when the user did not exist.
+ */
+export async function removeUser(usersFile, name) {
+  const users = await readUsers(usersFile);
+  if (!users[name]) return false;
+  delete users[name];
+  await writeJson(usersFile, { users });
+  return true;
+}
+
+function hashToken(token) {
+  return new Bun.CryptoHasher("sha256").update(token).digest("hex");
+}
+
+// Changes with the password, so setting a new one ends the older sessions
+function passwordFingerprint(user) {
+  return hashToken(user.hash).slice(0, 16);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || "").split(";")) {
+    const eq = part.indexOf("=");
+    if (eq === -1) continue;
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {
+      // Malformed percent-encoding: skip this cookie, keep the others
+    }
+  }
+  return cookies;
+}
+
+function isSecure(req) {
+  return new URL(req.url).protocol === "https:" || req.headers.get("x-forwarded-proto") === "https";
+}
+
+function sessionCookie(req, value, maxAgeSeconds) {
+  const parts = [`${SESSION_COOKIE}=${value}`, "Path=/", "HttpOnly", "SameSite=Lax", `Max-Age=${maxAgeSeconds}`];
+  if (isSecure(req)) parts.push("Secure");
+  return parts.join("; ");
+}
+
+/**
+ * Creates the session store.
+ * Sessions are kept in memory and persisted (token hashes only) so a
+ * restart does not log every device out.
+ * @param {object} options
+ * @param {string} options.usersFile - Path of the user file.
+ * @param {string} options.sessionsFile - Path of the persisted sessions.
+ * @param {number} options.sessionTtl - Session lifetime in seconds.
+ * @param {function} options.databaseFor - Maps a user name to their remote database name.
+ * @returns {object}
+ */
+export function createAuth({ usersFile, sessionsFile, sessionTtl, databaseFor }) {
+  let sessions = null;
+  let loading = null;
+
+  // Requests that arrive before the file is read share one read, so none of
+  // them replaces sessions another one already added
+  function load() {
+    loading ??= readJson(sessionsFile, {}).then(data => {
+      sessions = new Map(Object.entries(data));
+      prune();
+      return sessions;
+    }, err => {
+      loading = null;
+      throw err;
+    });
+    return loading;
+  }
+
+  function prune() {
+    const now = Date.now();
+    let removed = false;
+    for (const [key, session] of sessions) {
+      if (session.expires <= now) {
+        sessions.delete(key);
+        removed = true;
+      }
+    }
+    return removed;
+  }
+
+  // Writes go one at a time, each with the sessions as they are when it
+  // starts, so an older snapshot never lands after a newer one
+  let saving = Promise.resolve();
+  function save() {
+    const write = saving.then(() => writeJson(sessionsFile, Object.fromEntries(sessions)));
+    saving = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Resolves the session attached to a request. Sessions end when they
+   * expire, when their user is removed and when the password changes.
+   * @param {Request} req
+   * @returns {Promise<{user: string, expires: number}|null>}
+   */
+  async function getSession(req) {
+    const token = parseCookies(req.headers.get("cookie"))[SESSION_COOKIE];
+    if (!token) return null;
+    await load();
+    const key = hashToken(token);
+    const session = sessions.get(key);
+    if (!session) return null;
+    const users = await readUsers(usersFile);
+    const user = Object.hasOwn(users, session.user) ? users[session.user] : null;
+    if (session.expires <= Date.now() || !user || session.fingerprint !== passwordFingerprint(user)) {
+      sessions.delete(key);
+      await save();
+      return null;
+    }
+    return session;
+  }
+
+  async function login(req) {
+    let credentials;
+    try {
+      credentials = await req.json();
+    } catch {
+      return Response.json({ ok: false, error: "Body is not valid JSON" }, { status: 400 });
+    }
+    const { username, password } = credentials || {};
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return Response.json({ ok: false, error: "username and password are required" }, { status: 400 });
+    }
+
+    const users = await readUsers(usersFile);
+    const user = Object.hasOwn(users, username) ? users[username] : null;
+    const valid = await Bun.password.verify(password, user ? user.hash : DUMMY_HASH);
+    if (!user || !valid) {
+      console.warn(`[${new Date().toISOString()}] Failed login for "${username}"`);
+      return Response.json({ ok: false, error: "Invalid username or password" }, { status: 401 });
+    }
+
+    await load();
+    prune();
+    const token = Buffer.from(crypto.getRandomValues(new Uint8Array(32))).toString("base64url");
+    const expires = Date.now() + sessionTtl * 1000;
+    sessions.set(hashToken(token), { user: username, expires, fingerprint: passwordFingerprint(user) });
+    await save();
+
+    return Response.json(
+      { ok: true, user: username, db: databaseFor(username), expires: new Date(expires).toISOString() },
+      { headers: { "Set-Cookie": sessionCookie(req, token, sessionTtl) } }
+    );
+  }
+
+  async function logout(req) {
+    const token = parseCookies(req.headers.get("cookie"))[SESSION_COOKIE];
+    if (token) {
+      await load();
+      if (sessions.delete(hashToken(token))) await save();
+    }
+    return Response.json({ ok: true }, { headers: { "Set-Cookie": sessionCookie(req, "", 0) } });
+  }
+
+  /**
+   * Routes /api/login, /api/logout and /api/session.
+   * @param {Request} req
+   * @param {string} path
+   * @returns {Promise<Response|null>} Null when the path is not an auth route.
+   */
+  async function handle(req, path) {
+    if (path === "/api/login") {
+      if (req.method !== "POST") return new Response(null, { status: 405, headers: { "Allow": "POST" } });
+      return login(req);
+    }
+    if (path === "/api/logout") {
+      if (req.method !== "POST") return new Response(null, { status: 405, headers: { "Allow": "POST" } });
+      return logout(req);
+    }
+    if (path === "/api/session") {
+      const session = await getSession(req);
+      if (!session) return Response.json({ ok: false, error: "Not logged in" }, { status: 401 });
+      return Response.json({
+        ok: true,
+        user: session.user,
+        db: databaseFor(session.user),
+        expires: new Date(session.expires).toISOString(),
+      });
+    }
+    return null;
+  }
+
+  return { getSession, handle };
+}
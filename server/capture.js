@@ -0,0 +1,151 @@
+// server/capture.js
+// POST /api/capture: the ingestion hook used by n8n and other automations.
+
+import { createHash, timingSafeEqual } from "node:crypto";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Known document types and their validators. Each validator pushes
+// human-readable problems onto `errors`.
+const DOC_TYPES = {
+  block_document(doc, errors) {
+    requireString(doc, "title", errors);
+    if (!Array.isArray(doc.blocks)) {
+      errors.push("blocks must be an array");
+      return;
+    }
+    const seen = new Set();
+    doc.blocks.forEach((block, i) => {
+      if (!block || typeof block !== "object" || Array.isArray(block)) {
+        errors.push(`blocks[${i}] must be an object`);
+        return;
+      }
+      if (typeof block.id !== "string" || !block.id) {
+        errors.push(`blocks[${i}].id must be a non-empty string`);
+      } else if (seen.has(block.id)) {
+        errors.push(`blocks[${i}].id "${block.id}" is duplicated`);
+      } else {
+        seen.add(block.id);
+      }
+      if (typeof block.type !== "string" || !block.type) {
+        errors.push(`blocks[${i}].type must be a non-empty string`);
+      }
+    });
+  },
+
+  data_entry(doc, errors) {
+    if (!doc.schema || typeof doc.schema !== "object" || Array.isArray(doc.schema)) {
+      errors.push("schema must be an object");
+    }
+  },
+};
+
+function requireString(doc, field, errors) {
+  if (typeof doc[field] !== "string" || !doc[field].trim()) {
+    errors.push(`${field} must be a non-empty string`);
+  }
+}
+
+function jsonError(status, error, details) {
+  return Response.json({ success: false, error, ...(details && { details }) }, { status });
+}
+
+const digest = (value) => createHash("sha256").update(value).digest();
+
+/**
+ * Checks the request's `Authorization: Bearer <token>` against the configured
+ * capture token, in constant time.
+ * @param {Request} req
+ * @param {string|null} token - The configured token; null accepts no token.
+ * @returns {boolean}
+ */
+export function hasCaptureToken(req, token) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.get("authorization") || "");
+  if (!token || !match) return false;
+  // Compared as digests, so the lengths match and leak nothing
+  return timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Validates a capture payload.
+ * @param {any} doc - The parsed request body.
+ * @returns {string[]} A list of problems; empty when the document is valid.
+ */
+export function validateCapture(doc) {
+  const errors = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return ["body must be a JSON object"];
+  }
+
+  const validate = DOC_TYPES[doc.type];
+  if (!validate) {
+    errors.push(`type must be one of: ${Object.keys(DOC_TYPES).join(", ")}`);
+    return errors;
+  }
+
+  if ("_id" in doc && (typeof doc._id !== "string" || !doc._id || doc._id.startsWith("_"))) {
+    errors.push("_id must be a non-empty string that does not start with '_'");
+  }
+  for (const key of Object.keys(doc)) {
+    if (key.startsWith("_") && key !== "_id") errors.push(`${key} is not allowed in a capture`);
+  }
+
+  validate(doc, errors);
+  return errors;
+}
+
+/**
+ * Handles a capture request and writes the document through to CouchDB.
+ * @param {Request} req - The incoming request.
+ * @param {object} couch - Client from createCouch().
+ * @param {string} database - The user database the document goes to.
+ * @returns {Promise<Response>}
+ */
+export async function handleCapture(req, couch, database) {
+  if (req.method !== "POST") {
+    const response = jsonError(405, "Only POST is allowed");
+    response.headers.set("Allow", "POST");
+    return response;
+  }
+
+  const contentType = req.headers.get("content-type") || "";
+  if (!contentType.toLowerCase().startsWith("application/json")) {
+    return jsonError(415, "Content-Type must be application/json");
+  }
+
+  const declaredLength = Number(req.headers.get("content-length"));
+  if (declaredLength > MAX_BODY_BYTES) {
+    return jsonError(413, `Payload exceeds ${MAX_BODY_BYTES} bytes`);
+  }
+
+  const raw = await req.text();
+  if (raw.length > MAX_BODY_BYTES) {
+    return jsonError(413, `Payload exceeds ${MAX_BODY_BYTES} bytes`);
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(raw);
+  } catch {
+    return jsonError(400, "Body is not valid JSON");
+  }
+
+  const errors = validateCapture(doc);
+  if (errors.length) return jsonError(422, "Validation failed", errors);
+
+  const record = { ...doc, created_at: new Date().toISOString() };
+  await couch.ensureDatabase(database);
+  const result = record._id
+    ? await couch.database(database, `/${encodeURIComponent(record._id)}`, { method: "PUT", body: record })
+    : await couch.database(database, "", { method: "POST", body: record });
+
+  if (result.status === 409) {
+    return jsonError(409, `Document "${record._id}" already exists`);
+  }
+  if (!result.ok) {
+    console.error("Capture write failed:", result.status, result.body);
+    return jsonError(502, "CouchDB rejected the write", result.body?.reason && [result.body.reason]);
+  }
+
+  return Response.json({ success: true, id: result.body.id, rev: result.body.rev }, { status: 201 });
+}
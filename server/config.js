@@ -0,0 +1,325 @@
+// server/config.js
+// Server settings: one schema for every knob, filled from (lowest first)
+// the schema defaults, server.config.json (or .js), its "environments"
+// section for the current mode, environment variables and command-line
+// arguments.
+//
+//   {
+//     "port": 8000,
+//     "couch": { "url": "http://couch:5984/juris-db", "user": "admin" },
+//     "environments": {
+//       "development": { "ssr": false, "proxy": { "timeoutSeconds": 10 } }
+//     }
+//   }
+//
+// Anything unknown or of the wrong type stops the server at startup with a
+// list of what to fix; `bun server.js --print-config` shows the result.
+
+import { readFile } from "node:fs/promises";
+import { resolve } from "node:path";
+
+const MODES = ["production", "development"];
+
+// A leaf: type, default (or { production, development }), env variable
+// (or one per mode), command-line argument, and limits.
+const SCHEMA = {
+  port: { type: "integer", min: 1, max: 65535, default: { production: 8000, development: 3000 }, env: { production: "PORT", development: "DEV_PORT" }, arg: "--port", alias: "-p" },
+  host: { type: "string", default: "0.0.0.0", env: "HOST" },
+  rootDir: { type: "string", default: { production: "dist", development: "src" }, env: "ROOT_DIR" },
+  idleTimeoutSeconds: { type: "integer", min: 0, max: 255, default: 254, env: "IDLE_TIMEOUT_SECONDS" },
+  maxBodyMb: { type: "number", min: 1, default: 1024, env: "MAX_BODY_MB" },
+  ssr: { type: "boolean", default: true, env: "SSR" },
+  buildConfigFile: { type: "string", default: "build.config.json", env: "BUILD_CONFIG_FILE" },
+  couch: {
+    url: { type: "url", default: null, env: "COUCHDB_URL" },
+    user: { type: "string", default: null, env: "COUCHDB_USER" },
+    password: { type: "string", default: null, env: "COUCHDB_PASSWORD", secret: true },
+    dbPrefix: { type: "string", default: "vault-", env: "COUCHDB_DB_PREFIX" },
+    mock: { type: "boolean", default: false, env: "MOCK_COUCH", flag: "--mock-couch" },
+    mockFile: { type: "string", default: null, env: "MOCK_COUCH_FILE", arg: "--mock-couch-file" },
+  },
+  proxy: {
+    policyFile: { type: "string", default: "proxy-policy.json", env: "PROXY_POLICY_FILE" },
+    // Until CouchDB starts answering; long-running _changes feeds get feedTimeoutSeconds
+    timeoutSeconds: { type: "number", min: 0, default: 60, env: "PROXY_TIMEOUT_SECONDS" },
+    feedTimeoutSeconds: { type: "number", min: 0, default: 330, env: "PROXY_FEED_TIMEOUT_SECONDS" },
+  },
+  auth: {
+    usersFile: { type: "string", default: "data/users.json", env: "USERS_FILE" },
+    sessionsFile: { type: "string", default: "data/sessions.json", env: "SESSIONS_FILE" },
+    sessionTtlHours: { type: "number", min: 0.01, default: 168, env: "SESSION_TTL_HOURS" },
+    adminUsers: { type: "list", default: [], env: "ADMIN_USERS" },
+  },
+  capture: {
+    // Bearer token automations send to /api/capture; logged-in users need none
+    token: { type: "string", default: null, env: "CAPTURE_TOKEN", secret: true },
+    // Whose database token captures are written to
+    user: { type: "string", default: null, env: "CAPTURE_USER" },
+  },
+  accessLog: {
+    file: { type: "string", default: "logs/access.log", env: "ACCESS_LOG" },
+    maxMb: { type: "number", min: 0.01, default: 10, env: "ACCESS_LOG_MAX_MB" },
+    files: { type: "integer", min: 1, default: 5, env: "ACCESS_LOG_FILES" },
+  },
+  tls: {
+    generate: { type: "boolean", default: false, env: "HTTPS", flag: "--https" },
+    cert: { type: "string", default: null, env: "TLS_CERT" },
+    key: { type: "string", default: null, env: "TLS_KEY" },
+    dir: { type: "string", default: "data/tls", env: "TLS_DIR" },
+    hosts: { type: "list", default: [], env: "TLS_HOSTS" },
+    httpRedirectPort: { type: "integer", min: 1, max: 65535, default: null, env: "HTTP_REDIRECT_PORT", arg: "--http-redirect" },
+  },
+  webhooks: {
+    file: { type: "string", default: "webhooks.json", env: "WEBHOOKS_FILE" },
+    checkpointFile: { type: "string", default: "data/webhooks-checkpoint.json", env: "WEBHOOKS_CHECKPOINT_FILE" },
+    deadLetterFile: { type: "string", default: "logs/webhooks-dead-letter.jsonl", env: "WEBHOOKS_DEAD_LETTER" },
+  },
+  jobs: {
+    file: { type: "string", default: "jobs.json", env: "JOBS_FILE" },
+    stateFile: { type: "string", default: "data/jobs-state.json", env: "JOBS_STATE_FILE" },
+  },
+};
+
+// Arguments that are not settings
+const COMMANDS = new Set(["--dev", "--config", "--print-config"]);
+
+const isLeaf = (node) => typeof node.type === "string";
+
+function forMode(value, mode) {
+  return value !== null && typeof value === "object" && !Array.isArray(value) && MODES.some(m => m in value) ? value[mode] : value;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Converts text (env variables, arguments) to the leaf's type.
+function fromText(spec, text) {
+  switch (spec.type) {
+    case "integer":
+      if (!/^-?\d+$/.test(text.trim())) throw new Error(`"${text}" is not a whole number`);
+      return parseInt(text, 10);
+    case "number":
+      if (!text.trim() || Number.isNaN(Number(text))) throw new Error(`"${text}" is not a number`);
+      return Number(text);
+    case "boolean": {
+      const value = text.trim().toLowerCase();
+      if (["1", "true", "on", "yes"].includes(value)) return true;
+      if (["0", "false", "off", "no"].includes(value)) return false;
+      throw new Error(`"${text}" is not on/off`);
+    }
+    case "list":
+      return text.split(",").map(item => item.trim()).filter(Boolean);
+    default:
+      return text;
+  }
+}
+
+// Checks a value of the right JSON type against the leaf's limits.
+function check(spec, value) {
+  if (value === null) return null;
+  switch (spec.type) {
+    case "integer":
+    case "number":
+      if (typeof value !== "number" || !Number.isFinite(value) || (spec.type === "integer" && !Number.isInteger(value))) {
+        return `must be ${spec.type === "integer" ? "a whole number" : "a number"}`;
+      }
+      if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "list":
+      return Array.isArray(value) && value.every(item => typeof item === "string") ? null : "must be a list of strings";
+    case "url":
+      try {
+        const { protocol } = new URL(value);
+        return protocol === "http:" || protocol === "https:" ? null : "must be an http or https URL";
+      } catch {
+        return "must be a valid URL";
+      }
+    default:
+      return typeof value === "string" && value !== "" ? null : "must be a non-empty string";
+  }
+}
+
+function option(args, ...names) {
+  const index = args.findIndex(arg => names.includes(arg));
+  if (index === -1) return undefined;
+  return args[index + 1] !== undefined && !args[index + 1].startsWith("-") ? args[index + 1] : "";
+}
+
+async function readConfigFile(path, explicit) {
+  const file = resolve(path);
+  if (!(await Bun.file(file).exists())) {
+    if (explicit) throw new Error(`Config file ${path} does not exist`);
+    return null;
+  }
+  try {
+    if (file.endsWith(".js")) return { file: path, data: (await import(file)).default };
+    return { file: path, data: JSON.parse(await readFile(file, "utf-8")) };
+  } catch (err) {
+    throw new Error(`Could not load ${path}: ${err.message}`);
+  }
+}
+
+/**
+ * Resolves the server configuration.
+ * @param {object} options
+ * @param {string[]} options.args - Command-line arguments (without bun and the script).
+ * @param {object} [options.env] - Environment variables.
+ * @param {boolean} [options.needsCouch] - False for tools that never talk to
+ *   CouchDB (scripts/users.js), so its settings are not required.
+ * @returns {Promise<{config: object, sources: object, file: string|null}>}
+ *   `sources` maps each dotted key to where its value came from.
+ * @throws {Error} Listing every problem, when the configuration is invalid.
+ */
+export async function loadServerConfig({ args, env = process.env, needsCouch = true }) {
+  const problems = [];
+
+  for (const arg of args) {
+    if (arg.startsWith("-") && !COMMANDS.has(arg) && !leaves().some(([, spec]) => [spec.arg, spec.alias, spec.flag].includes(arg))) {
+      problems.push(`unknown argument ${arg}`);
+    }
+  }
+
+  const configPath = option(args, "--config") || env.SERVER_CONFIG;
+  let loaded = null;
+  if (configPath) loaded = await readConfigFile(configPath, true);
+  else loaded = (await readConfigFile("server.config.json", false)) ?? (await readConfigFile("server.config.js", false));
+  const fileData = loaded?.data ?? {};
+  if (!isPlainObject(fileData)) throw new Error(`${loaded.file} must contain an object`);
+
+  // The mode picks the defaults and the "environments" section, so it comes first
+  let mode = fileData.mode ?? "production";
+  if (env.SERVER_MODE) mode = env.SERVER_MODE;
+  if (args.includes("--dev")) mode = "development";
+  if (!MODES.includes(mode)) throw new Error(`mode must be one of ${MODES.join(", ")}, not "${mode}"`);
+
+  const { environments = {}, ...base } = fileData;
+  delete base.mode;
+  if (!isPlainObject(environments) || Object.keys(environments).some(name => !MODES.includes(name))) {
+    problems.push(`environments may only have ${MODES.join(" and ")} sections`);
+  }
+  const layers = [
+    { name: loaded?.file, data: base },
+    { name: `${loaded?.file} environments.${mode}`, data: isPlainObject(environments[mode]) ? environments[mode] : {} },
+  ];
+  for (const layer of layers) checkKeys(layer.data, SCHEMA, "", layer.name, problems);
+
+  const config = { mode };
+  const sources = { mode: args.includes("--dev") ? "--dev" : env.SERVER_MODE ? "SERVER_MODE" : fileData.mode ? loaded.file : "default" };
+
+  for (const [key, spec] of leaves()) {
+    let value = forMode(spec.default, mode);
+    let source = "default";
+
+    for (const layer of layers) {
+      const fromFile = getPath(layer.data, key);
+      if (fromFile !== undefined) {
+        value = fromFile;
+        source = layer.name;
+      }
+    }
+
+    const envName = forMode(spec.env, mode);
+    if (envName && env[envName] !== undefined && env[envName] !== "") {
+      try {
+        value = fromText(spec, env[envName]);
+        source = envName;
+      } catch (err) {
+        problems.push(`${key} from ${envName}: ${err.message}`);
+      }
+    }
+
+    if (spec.flag && args.includes(spec.flag)) {
+      value = true;
+      source = spec.flag;
+    }
+    if (spec.arg) {
+      const text = option(args, spec.arg, ...(spec.alias ? [spec.alias] : []));
+      if (text === "") problems.push(`${spec.arg} needs a value`);
+      else if (text !== undefined) {
+        try {
+          value = fromText(spec, text);
+          source = spec.arg;
+        } catch (err) {
+          problems.push(`${key} from ${spec.arg}: ${err.message}`);
+        }
+      }
+    }
+
+    const problem = check(spec, value);
+    if (problem) problems.push(`${key} ${problem} (from ${source})`);
+    setPath(config, key, value);
+    sources[key] = source;
+  }
+
+  // Settings that only make sense together
+  if (needsCouch && !config.couch.mock) {
+    if (!config.couch.url) problems.push("couch.url is required (COUCHDB_URL), or run with --mock-couch");
+    if (!config.couch.user || !config.couch.password) problems.push("couch.user and couch.password are required (COUCHDB_USER, COUCHDB_PASSWORD)");
+  }
+  if (Boolean(config.tls.cert) !== Boolean(config.tls.key)) problems.push("tls.cert and tls.key must be set together");
+  if (config.tls.httpRedirectPort && !config.tls.cert && !config.tls.generate) {
+    problems.push("tls.httpRedirectPort needs HTTPS (tls.cert and tls.key, or --https)");
+  }
+  if (config.capture.token && config.capture.token.length < 16) problems.push("capture.token must be at least 16 characters");
+  if (config.capture.token && !config.capture.user) problems.push("capture.user is required with capture.token (CAPTURE_USER)");
+  if (config.tls.httpRedirectPort === config.port) problems.push("tls.httpRedirectPort must differ from port");
+
+  if (problems.length) {
+    throw new Error(`Invalid server configuration${loaded ? ` (${loaded.file})` : ""}:\n  - ${problems.join("\n  - ")}`);
+  }
+  return { config, sources, file: loaded?.file ?? null };
+}
+
+/**
+ * The configuration as shown by --print-config: secrets are masked and each
+ * value is listed with where it came from.
+ * @param {{config: object, sources: object, file: string|null}} resolved
+ * @returns {string}
+ */
+export function describeConfig({ config, sources, file }) {
+  const lines = [`# ${file ? `from ${file}, ` : ""}environment and arguments (mode: ${config.mode}, from ${sources.mode})`];
+  const rows = leaves().map(([key, spec]) => {
+    const value = getPath(config, key);
+    return [key, spec.secret && value ? "\"********\"" : JSON.stringify(value), sources[key]];
+  });
+  const keyWidth = Math.max(...rows.map(([key]) => key.length));
+  const valueWidth = Math.max(...rows.map(([, value]) => value.length));
+  for (const [key, value, source] of rows) lines.push(`${key.padEnd(keyWidth)}  ${value.padEnd(valueWidth)}  # ${source}`);
+  return lines.join("\n");
+}
+
+function leaves(node = SCHEMA, prefix = "") {
+  return Object.entries(node).flatMap(([name, child]) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    return isLeaf(child) ? [[key, child]] : leaves(child, key);
+  });
+}
+
+function checkKeys(data, schema, prefix, where, problems) {
+  if (!isPlainObject(data)) {
+    problems.push(`${prefix || "configuration"} in ${where} must be an object`);
+    return;
+  }
+  for (const [name, value] of Object.entries(data)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const spec = schema[name];
+    if (!spec) problems.push(`unknown setting ${key} in ${where}`);
+    else if (!isLeaf(spec)) checkKeys(value, spec, key, where, problems);
+  }
+}
+
+function getPath(object, key) {
+  return key.split(".").reduce((value, part) => (isPlainObject(value) ? value[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  let target = object;
+  for (const part of parts) target = target[part] ??= {};
+  target[last] = value;
+}
@@ -0,0 +1,126 @@
+// server/couch.js
+
+// CouchDB database names must start with a letter and may only contain
+// lowercase letters, digits and _$()+- (we leave out "/" on purpose).
+const DB_NAME = /^[a-z][a-z0-9_$()+-]*$/;
+
+/**
+ * Maps a user name to the name of their remote database.
+ * @param {string} user - The user name.
+ * @param {string} [prefix] - Database name prefix.
+ * @returns {string} e.g. "vault-tim"
+ */
+export function userDatabase(user, prefix = "vault-") {
+  const name = `${prefix}${user}`;
+  if (!DB_NAME.test(name)) throw new Error(`"${user}" does not map to a valid database name`);
+  return name;
+}
+
+/**
+ * Splits COUCHDB_URL into the server root and the default database.
+ * "http://couch:5984/juris-db" -> ["http://couch:5984", "juris-db"]
+ * A URL without a path uses "juris-db" as the default database.
+ */
+function splitDatabaseUrl(url) {
+  if (!url) return [undefined, "juris-db"];
+  const trimmed = url.replace(/\/+$/, "");
+  const { pathname } = new URL(trimmed);
+  if (pathname === "" || pathname === "/") return [trimmed, "juris-db"];
+  const slash = trimmed.lastIndexOf("/");
+  return [trimmed.slice(0, slash), decodeURIComponent(trimmed.slice(slash + 1))];
+}
+
+/**
+ * Creates a minimal CouchDB client for the configured server.
+ * Every request carries the server's Basic credentials.
+ * @param {object} options
+ * @param {string} options.url - Default database URL, e.g. http://couch:5984/juris-db
+ * @param {string} options.user - CouchDB user name.
+ * @param {string} options.password - CouchDB password.
+ * @param {function} [options.fetch] - fetch() implementation, e.g. the in-process mock.
+ * @returns {object} The client.
+ */
+export function createCouch({ url, user, password, fetch: fetchImpl = fetch }) {
+  const auth = `Basic ${Buffer.from(`${user}:${password}`).toString("base64")}`;
+  const [serverUrl, dbName] = splitDatabaseUrl(url);
+  const knownDatabases = new Set();
+
+  async function send(target, init = {}) {
+    if (!serverUrl) throw new Error("COUCHDB_URL is not configured");
+
+    const headers = new Headers(init.headers);
+    headers.set("Authorization", auth);
+    headers.set("Accept", "application/json");
+
+    let body = init.body;
+    if (body && typeof body === "object" && !(body instanceof ReadableStream) && !(body instanceof Blob)) {
+      body = JSON.stringify(body);
+      headers.set("Content-Type", "application/json");
+    }
+
+    const response = await fetchImpl(target, { ...init, headers, body });
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      parsed = { error: "invalid_json", reason: text };
+    }
+    return { status: response.status, ok: response.ok, body: parsed };
+  }
+
+  function databaseUrl(name) {
+    return `${serverUrl}/${encodeURIComponent(name)}`;
+  }
+
+  return {
+    serverUrl,
+    dbName,
+    auth,
+    databaseUrl,
+    fetch: fetchImpl,
+
+    /**
+     * Sends a request to the default database and parses the JSON reply.
+     * @param {string} path - Path relative to the database URL ("" for the database itself).
+     * @param {object} [init] - fetch() options. Object bodies are sent as JSON.
+     * @returns {Promise<{status: number, ok: boolean, body: any}>}
+     */
+    request(path, init) {
+      return send(`${databaseUrl(dbName)}${path}`, init);
+    },
+
+    /**
+     * Same as request(), against another database.
+     * @param {string} name - The database name.
+     * @param {string} path - Path relative to the database URL.
+     * @param {object} [init] - fetch() options.
+     */
+    database(name, path, init) {
+      return send(`${databaseUrl(name)}${path}`, init);
+    },
+
+    /**
+     * Same as request(), relative to the server root instead of a database.
+     */
+    server(path, init) {
+      return send(`${serverUrl}${path}`, init);
+    },
+
+    /**
+     * Creates a database unless it already exists. Results are cached for
+     * the lifetime of the process.
+     * @param {string} name - The database name.
+     */
+    async ensureDatabase(name) {
+      if (knownDatabases.has(name)) return;
+      const result = await send(databaseUrl(name), { method: "PUT" });
+      // 412: the database already exists
+      if (!result.ok && result.status !== 412) {
+        throw new Error(`Could not create database "${name}": ${result.status} ${result.body?.reason || ""}`);
+      }
+      if (result.ok) console.log(`[${new Date().toISOString()}] Created database ${name}`);
+      knownDatabases.add(name);
+    },
+  };
+}
@@ -0,0 +1,128 @@
+// server/cron.js
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in the server's local time zone.
+//
+//   "30 3 * * *"      03:30 every day
+//   "*/15 * * * *"    every 15 minutes
+//   "0 4 * * sun"     04:00 on Sundays
+//   "@daily"          same as "0 0 * * *"
+//
+// Fields take *, numbers, ranges (1-5), steps (*/10, 0-30/5), lists and
+// month/day names. As in cron, when both day fields are restricted a day
+// matching either one runs; a day field starting with * counts as unrestricted.
+
+const SHORTCUTS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTHS, offset: 1 },
+  { name: "day of week", min: 0, max: 7, names: DAYS, offset: 0 },
+];
+
+// Give up looking for the next run after this long (e.g. "0 0 31 2 *")
+const SEARCH_YEARS = 5;
+
+function parseValue(text, field) {
+  const index = field.names?.indexOf(text.toLowerCase()) ?? -1;
+  if (index !== -1) return index + field.offset;
+  if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a valid ${field.name}`);
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`"${part}" has an invalid step`);
+    }
+    let from = field.min;
+    let to = field.max;
+    if (range !== "*") {
+      const [start, end] = range.split("-");
+      from = parseValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field);
+      if (to < from) throw new Error(`"${range}" is an empty ${field.name} range`);
+    }
+    for (let value = from; value <= to; value += step) values.add(value);
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression.
+ * @param {string} expression
+ * @returns {{expression: string, next: function(Date=): (Date|null)}}
+ * @throws {Error} When the expression is invalid.
+ */
+export function parseCron(expression) {
+  const source = SHORTCUTS[expression.trim().toLowerCase()] ?? expression;
+  const parts = source.trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`"${expression}" needs 5 fields: minute hour day month weekday`);
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is another way to write Sunday
+  if (daysOfWeek.delete(7)) daysOfWeek.add(0);
+  // Like Vixie cron, a day field starting with "*" (e.g. "*/2") is unrestricted
+  const anyDayOfMonth = parts[2].startsWith("*");
+  const anyDayOfWeek = parts[4].startsWith("*");
+
+  function dayMatches(date) {
+    const byMonthDay = daysOfMonth.has(date.getDate());
+    const byWeekDay = daysOfWeek.has(date.getDay());
+    if (anyDayOfMonth || anyDayOfWeek) return byMonthDay && byWeekDay;
+    return byMonthDay || byWeekDay;
+  }
+
+  return {
+    expression,
+
+    /**
+     * Finds the first matching minute after a time.
+     * @param {Date} [after]
+     * @returns {Date|null} Null when nothing matches within a few years.
+     */
+    next(after = new Date()) {
+      const date = new Date(after);
+      date.setSeconds(0, 0);
+      date.setMinutes(date.getMinutes() + 1);
+      const limit = new Date(date);
+      limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+      while (date < limit) {
+        if (!months.has(date.getMonth() + 1)) {
+          date.setMonth(date.getMonth() + 1, 1);
+          date.setHours(0, 0, 0, 0);
+        } else if (!dayMatches(date)) {
+          date.setDate(date.getDate() + 1);
+          date.setHours(0, 0, 0, 0);
+        } else if (!hours.has(date.getHours())) {
+          date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!minutes.has(date.getMinutes())) {
+          date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+          return date;
+        }
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// server/events.js
+// Relays a database's _changes feed as Server-Sent Events, for scripts and
+// widgets that do not embed PouchDB.
+//
+//   GET /events?type=note,task&prefix=note:&include_docs=true
+//
+//   id: 42
+//   event: change
+//   data: {"id":"note:a","rev":"2-...","seq":42,"doc":{...}}
+//
+// Every event id is a feed sequence. Reconnecting with Last-Event-ID (which
+// EventSource does by itself) or ?since= resumes after it; without either the
+// stream starts with the next change. Changes that do not match the filters
+// still move the id forward through id-only messages, so a resume never
+// replays them.
+
+const FEED_LIMIT = 100;
+const FEED_TIMEOUT_MS = 25000;
+const RETRY_MS = 3000;
+
+function parseFilters(url) {
+  const types = url.searchParams.getAll("type").flatMap(value => value.split(",")).filter(Boolean);
+  return {
+    types: types.length ? new Set(types) : null,
+    prefix: url.searchParams.get("prefix") || "",
+    includeDocs: url.searchParams.get("include_docs") === "true",
+  };
+}
+
+// Deleted documents have no type, so a type filter leaves them out.
+function matches(filters, change) {
+  if (change.id.startsWith("_design/") || !change.id.startsWith(filters.prefix)) return false;
+  if (filters.types && (change.deleted || !filters.types.has(change.doc?.type))) return false;
+  return true;
+}
+
+/**
+ * Creates the /events handler.
+ * @param {object} options
+ * @param {object} options.couch - Client from createCouch().
+ * @returns {object}
+ */
+export function createEventRelay({ couch }) {
+  const encoder = new TextEncoder();
+
+  return {
+    /**
+     * Opens an event stream on one database.
+     * @param {Request} req
+     * @param {string} database
+     * @returns {Promise<Response>}
+     */
+    async connect(req, database) {
+      if (req.method !== "GET") {
+        return Response.json({ ok: false, error: "Only GET is allowed" }, { status: 405, headers: { Allow: "GET" } });
+      }
+      const url = new URL(req.url);
+      const filters = parseFilters(url);
+      let since = req.headers.get("last-event-id") || url.searchParams.get("since") || "now";
+      await couch.ensureDatabase(database);
+
+      const controller = new AbortController();
+      req.signal?.addEventListener("abort", () => controller.abort(), { once: true });
+
+      // Runs until the client goes away; the feed is polled one request at a time
+      async function relay(stream) {
+        const send = (chunk) => {
+          try {
+            stream.enqueue(encoder.encode(chunk));
+          } catch {
+            controller.abort();
+          }
+        };
+        send(`retry: ${RETRY_MS}\n\n`);
+
+        let failures = 0;
+        while (!controller.signal.aborted) {
+          let body;
+          try {
+            const params = new URLSearchParams({
+              feed: "longpoll", since, include_docs: String(Boolean(filters.types) || filters.includeDocs),
+              limit: String(FEED_LIMIT), timeout: String(FEED_TIMEOUT_MS),
+            });
+            const result = await couch.database(database, `/_changes?${params}`, { signal: controller.signal });
+            if (!result.ok) throw new Error(`_changes answered ${result.status}`);
+            body = result.body;
+            failures = 0;
+          } catch (err) {
+            if (controller.signal.aborted) break;
+            failures++;
+            console.error(`Event relay for ${database} failed (${err.message}), retrying`);
+            await new Promise(resolve => setTimeout(resolve, Math.min(30000, 500 * 2 ** failures)));
+            continue;
+          }
+          if (controller.signal.aborted) break;
+
+          let sent = false;
+          for (const change of body.results) {
+            if (!matches(filters, change)) continue;
+            const data = {
+              id: change.id,
+              rev: change.changes?.[0]?.rev,
+              seq: change.seq,
+              ...(change.deleted && { deleted: true }),
+              ...(filters.includeDocs && !change.deleted && { doc: change.doc }),
+            };
+            send(`id: ${change.seq}\nevent: change\ndata: ${JSON.stringify(data)}\n\n`);
+            since = change.seq;
+            sent = true;
+          }
+          // Skipped changes and empty polls: move the client's last id along,
+          // or just keep the connection alive
+          const last = body.last_seq ?? since;
+          if (String(last) !== String(since)) {
+            since = last;
+            send(`id: ${since}\n\n`);
+          } else if (!sent) {
+            send(": ping\n\n");
+          }
+        }
+        try {
+          stream.close();
+        } catch {
+          // Already closed by the client
+        }
+      }
+
+      const stream = new ReadableStream({
+        start(stream) {
+          relay(stream).catch(err => {
+            console.error(`Event relay for ${database} stopped:`, err);
+            stream.error(err);
+          });
+        },
+        cancel() {
+          controller.abort();
+        },
+      });
+
+      return new Response(stream, {
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-store",
+          "Connection": "keep-alive",
+        },
+      });
+    },
+  };
+}
@@ -0,0 +1,38 @@
+// server/health.js
+// Readiness probe: is CouchDB reachable, and does it accept our credentials?
+
+async function timed(check) {
+  const started = performance.now();
+  try {
+    const result = await check();
+    return { ...result, latency_ms: Math.round(performance.now() - started) };
+  } catch (err) {
+    return { ok: false, error: err.name === "TimeoutError" ? "timed out" : err.message };
+  }
+}
+
+/**
+ * Runs the readiness checks against CouchDB.
+ * @param {object} couch - Client from createCouch().
+ * @param {number} [timeoutMs] - Per-check timeout.
+ * @returns {Promise<{ok: boolean, checks: object}>}
+ */
+export async function checkReadiness(couch, timeoutMs = 2000) {
+  const checks = {};
+
+  checks.couchdb = await timed(async () => {
+    const result = await couch.server("/_up", { signal: AbortSignal.timeout(timeoutMs) });
+    // CouchDB answers 401 to any request with bad credentials; it is still up.
+    return { ok: result.ok || result.status === 401, status: result.status };
+  });
+
+  if (checks.couchdb.ok) {
+    checks.credentials = await timed(async () => {
+      const result = await couch.server("/_session", { signal: AbortSignal.timeout(timeoutMs) });
+      const ok = result.ok && !!result.body?.userCtx?.name;
+      return ok ? { ok } : { ok, error: "CouchDB did not accept the server credentials" };
+    });
+  }
+
+  return { ok: Object.values(checks).every(check => check.ok), checks };
+}
@@ -0,0 +1,275 @@
+// server/html-pipeline.js
+// Ordered transforms for HTML pages, declared in build.config.json:
+//
+//   {
+//     "html": {
+//       "pages": ["index.html"],
+//       "transforms": [
+//         { "step": "manifest", "href": "manifest.json", "environments": ["production"] },
+//         { "step": "serviceWorker", "src": "sw-register.js", "environments": ["production"] },
+//         { "step": "title" },
+//         { "step": "appConfig" },
+//         { "step": "./html-steps/csp.js", "policy": "default-src 'self'" }
+//       ]
+//     },
+//     "appConfig": {
+//       "appName": "Juris Counter",
+//       "remoteDb": "/db-proxy",
+//       "features": { "sync": true },
+//       "environments": { "development": { "appName": "Juris Counter (dev)" } }
+//     },
+//     "prerender": {
+//       "routes": [{ "path": "/" }, { "path": "/about", "state": { "count": 0 } }]
+//     }
+//   }
+//
+// Steps edit the parsed page with HTMLRewriter and fail when the element they
+// work on is missing, rather than silently leaving the page unchanged. A step
+// starting with "./" or "../" is a module, relative to the config file, that
+// exports apply(html, step, appConfig) and optionally check(step), like the
+// built-in steps below. A step without "environments" runs in all of them. build.js runs the pipeline for
+// its target environment; the dev server runs it on src/ pages. Prerendered
+// routes are only built, never rendered by the dev server.
+
+import { readFile } from "node:fs/promises";
+import { dirname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { serializeState } from "./ssr.js";
+
+// Prerendered routes: "/" or plain segments such as /docs/intro
+const ROUTE_PATH = /^\/([\w-]+(\/[\w-]+)*)?$/;
+
+// The typed settings pages receive as window.__APP_CONFIG__ (see src/config.js);
+// each check returns a problem, or null when the value is fine
+const APP_CONFIG_FIELDS = {
+  appName: (value) => (typeof value === "string" && value.trim() !== "" ? null : "must be a non-empty string"),
+  remoteDb: (value) => (typeof value === "string" && /^(\/|https?:\/\/)/.test(value) ? null : "must be a path or an http(s) URL"),
+  features: (value) => (value !== null && typeof value === "object" && !Array.isArray(value)
+    && Object.values(value).every(flag => typeof flag === "boolean") ? null : "must map feature names to true or false"),
+};
+
+const escapeAttribute = (value) => value.replace(/&/g, "&amp;").replace(/"/g, "&quot;");
+
+// Runs one HTMLRewriter pass; throws when nothing matched the selector
+function rewrite(html, selector, edit) {
+  let found = false;
+  const output = new HTMLRewriter().on(selector, {
+    element(element) {
+      found = true;
+      edit(element);
+    },
+  }).transform(html);
+  if (!found) throw new Error(`no <${selector}> element`);
+  return output;
+}
+
+// Adds a tag at the top of <head>, but after a leading <meta charset>:
+// browsers only look for the charset in the first 1024 bytes
+function insertInHead(html, tag) {
+  let found = false;
+  let inserted = false;
+  const output = new HTMLRewriter()
+    .on("head", {
+      element(head) {
+        found = true;
+        head.onEndTag(end => {
+          if (!inserted) end.before(`    ${tag}\n`, { html: true });
+        });
+      },
+    })
+    .on("head > *", {
+      element(element) {
+        if (inserted) return;
+        inserted = true;
+        if (element.tagName === "meta" && element.hasAttribute("charset")) element.after(`\n    ${tag}`, { html: true });
+        else element.before(`${tag}\n    `, { html: true });
+      },
+    })
+    .transform(html);
+  if (!found) throw new Error("no <head> element");
+  return output;
+}
+
+// Built-in steps: check(step) lists problems with a step's options,
+// apply(html, step, appConfig) returns the transformed page
+const STEPS = {
+  manifest: {
+    check: (step) => typeof step.href === "string" ? [] : ["needs an href"],
+    apply: (html, step) => insertInHead(html, `<link rel="manifest" href="${escapeAttribute(step.href)}">`),
+  },
+
+  serviceWorker: {
+    check: (step) => typeof step.src === "string" ? [] : ["needs a src"],
+    apply: (html, step) => rewrite(html, "body", body => {
+      body.append(`    <script type="module" src="${escapeAttribute(step.src)}"></script>\n`, { html: true });
+    }),
+  },
+
+  title: {
+    check: (step) => step.text === undefined || typeof step.text === "string" ? [] : ["text must be a string"],
+    apply: (html, step, appConfig) => rewrite(html, "title", title => title.setInnerContent(step.text ?? appConfig.appName)),
+  },
+
+  appConfig: {
+    check: () => [],
+    apply: (html, step, appConfig) => insertInHead(html, `<script>window.__APP_CONFIG__ = ${serializeState(appConfig)};</script>`),
+  },
+};
+
+// The steps loadBuildConfig() found for each config, modules included
+const configSteps = new WeakMap();
+
+const isModulePath = (name) => typeof name === "string" && /^\.\.?\//.test(name);
+
+// Imports the module steps a config names, relative to the config file
+async function loadSteps(spec, file) {
+  const steps = { ...STEPS };
+  const problems = [];
+  const transforms = Array.isArray(spec?.html?.transforms) ? spec.html.transforms : [];
+  for (const name of new Set(transforms.map(step => step?.step).filter(isModulePath))) {
+    try {
+      const module = await import(pathToFileURL(resolve(dirname(file), name)).href);
+      if (typeof module.apply !== "function") problems.push(`step ${name} does not export apply()`);
+      else steps[name] = { check: module.check ?? (() => []), apply: module.apply };
+    } catch (err) {
+      problems.push(`could not load step ${name}: ${err.message}`);
+    }
+  }
+  return { steps, problems };
+}
+
+function checkAppConfig(values, where) {
+  const problems = [];
+  for (const [key, value] of Object.entries(values)) {
+    if (!Object.hasOwn(APP_CONFIG_FIELDS, key)) {
+      problems.push(`${where}.${key} is not a known setting`);
+      continue;
+    }
+    const problem = APP_CONFIG_FIELDS[key](value);
+    if (problem) problems.push(`${where}.${key} ${problem}`);
+  }
+  return problems;
+}
+
+function validateConfig(spec, steps) {
+  if (!spec || typeof spec !== "object") return ["must be an object"];
+  const problems = [];
+  const html = spec.html;
+  if (!html || !Array.isArray(html.pages) || !html.pages.every(page => typeof page === "string")) {
+    problems.push("html.pages must be an array of file names");
+  }
+  if (!Array.isArray(html?.transforms)) {
+    problems.push("html.transforms must be an array");
+  } else {
+    html.transforms.forEach((step, i) => {
+      const where = `html.transforms[${i}]`;
+      if (isModulePath(step?.step) && !Object.hasOwn(steps, step.step)) return;
+      if (!Object.hasOwn(steps, step?.step)) {
+        problems.push(`${where}.step must be one of ${Object.keys(STEPS).join(", ")}, or a module path starting with ./`);
+        return;
+      }
+      if (step.environments !== undefined && (!Array.isArray(step.environments) || !step.environments.every(env => typeof env === "string"))) {
+        problems.push(`${where}.environments must be an array of names`);
+      }
+      problems.push(...steps[step.step].check(step).map(problem => `${where} (${step.step}) ${problem}`));
+    });
+  }
+
+  const { environments = {}, ...base } = spec.appConfig ?? {};
+  problems.push(...checkAppConfig(base, "appConfig"));
+  for (const field of Object.keys(APP_CONFIG_FIELDS)) {
+    if (!Object.hasOwn(base, field)) problems.push(`appConfig.${field} is required`);
+  }
+  for (const [name, overrides] of Object.entries(environments)) {
+    if (!overrides || typeof overrides !== "object") problems.push(`appConfig.environments.${name} must be an object`);
+    else problems.push(...checkAppConfig(overrides, `appConfig.environments.${name}`));
+  }
+
+  if (spec.prerender !== undefined) {
+    if (!Array.isArray(spec.prerender?.routes)) {
+      problems.push("prerender.routes must be an array");
+    } else {
+      const paths = new Set();
+      spec.prerender.routes.forEach((route, i) => {
+        const where = `prerender.routes[${i}]`;
+        if (typeof route?.path !== "string" || !ROUTE_PATH.test(route.path)) problems.push(`${where}.path must be a path like /help`);
+        else if (paths.has(route.path)) problems.push(`${where}.path ${route.path} is duplicated`);
+        else paths.add(route.path);
+        if (route?.state !== undefined && (!route.state || typeof route.state !== "object" || Array.isArray(route.state))) {
+          problems.push(`${where}.state must be an object`);
+        }
+      });
+    }
+  }
+  return problems;
+}
+
+/**
+ * Reads build.config.json and imports the step modules it names. A missing
+ * file returns null; an invalid one throws with everything that needs fixing.
+ * @param {string} file
+ * @returns {Promise<object|null>}
+ */
+export async function loadBuildConfig(file) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Could not read build config ${file}: ${err.message}`);
+  }
+  const { steps, problems } = await loadSteps(spec, file);
+  problems.push(...validateConfig(spec, steps));
+  if (problems.length) throw new Error(`Invalid build config ${file}: ${problems.join("; ")}`);
+  configSteps.set(spec, steps);
+  return spec;
+}
+
+/**
+ * The app settings for one environment: the base values with that
+ * environment's overrides (feature flags are merged flag by flag).
+ * @param {object} config - Output of loadBuildConfig().
+ * @param {string} environment
+ * @returns {{appName: string, remoteDb: string, features: Object<string, boolean>}}
+ */
+export function resolveAppConfig(config, environment) {
+  const { environments = {}, ...base } = config.appConfig;
+  const overrides = environments[environment] ?? {};
+  return { ...base, ...overrides, features: { ...base.features, ...overrides.features } };
+}
+
+/**
+ * Creates the page transform for one environment.
+ * @param {object} options
+ * @param {object} options.config - Output of loadBuildConfig().
+ * @param {string} options.environment - E.g. "production" or "development".
+ * @returns {{pages: string[], transform: function(string, string): string}}
+ */
+export function createHtmlPipeline({ config, environment }) {
+  const appConfig = resolveAppConfig(config, environment);
+  const implementations = configSteps.get(config) ?? STEPS;
+  const steps = config.html.transforms.filter(step => !step.environments || step.environments.includes(environment));
+  const pages = new Set(config.html.pages);
+
+  return {
+    pages: [...pages],
+
+    /**
+     * Runs the steps on a page; pages not listed in html.pages pass through.
+     * @param {string} html
+     * @param {string} page - Path relative to the site root, e.g. "index.html".
+     * @returns {string}
+     * @throws {Error} When a step cannot find the element it changes.
+     */
+    transform(html, page) {
+      if (!pages.has(page)) return html;
+      return steps.reduce((output, step) => {
+        try {
+          return implementations[step.step].apply(output, step, appConfig);
+        } catch (err) {
+          throw new Error(`${page}: ${step.step} step failed: ${err.message}`);
+        }
+      }, html);
+    },
+  };
+}
@@ -0,0 +1,298 @@
+// server/jobs.js
+// Scheduled maintenance: compaction, view cleanup, purging old tombstones
+// and rotating backups, on cron schedules from jobs.json.
+//
+// jobs.json:
+//   {
+//     "jobs": [
+//       { "name": "compact", "schedule": "0 3 * * *", "task": "compact" },
+//       { "name": "views", "schedule": "30 3 * * 0", "task": "view_cleanup" },
+//       { "name": "tombstones", "schedule": "0 4 * * 0", "task": "purge_tombstones", "olderThanDays": 30 },
+//       { "name": "backups", "schedule": "0 2 * * *", "task": "backup", "dir": "backups", "keep": 14 }
+//     ]
+//   }
+//
+// A job runs on every database except CouchDB's own (_users, _replicator)
+// unless it lists "databases". Run history and feed markers are kept in a
+// state file so they survive restarts.
+
+import { mkdir, readdir, readFile, rename, rm, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { parseCron } from "./cron.js";
+
+const JOB_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+const HISTORY_LENGTH = 20;
+const PURGE_BATCH = 100;
+const CHANGES_BATCH = 500;
+// setTimeout() cannot wait longer than about 24.8 days
+const MAX_DELAY = 2 ** 31 - 1;
+
+async function check(resultPromise, what) {
+  const result = await resultPromise;
+  if (!result.ok) throw new Error(`${what} failed: ${result.status} ${result.body?.reason || ""}`.trim());
+  return result.body;
+}
+
+// Sequences are opaque strings on a cluster ("123-g1AAAA..."); their
+// numeric prefix is enough to order them.
+function seqNumber(seq) {
+  return parseInt(String(seq), 10) || 0;
+}
+
+const TASKS = {
+  async compact({ couch }, database) {
+    await check(couch.database(database, "/_compact", { method: "POST", body: {} }), "Compaction");
+    return { started: true };
+  },
+
+  async view_cleanup({ couch }, database) {
+    await check(couch.database(database, "/_view_cleanup", { method: "POST", body: {} }), "View cleanup");
+    return { started: true };
+  },
+
+  // CouchDB does not record when a document was deleted, so every run notes
+  // the database's update_seq. Tombstones at or before the newest note that
+  // is olderThanDays old are purged; the first runs only take notes.
+  async purge_tombstones({ couch, state }, database, job) {
+    const now = Date.now();
+    const info = await check(couch.database(database, ""), "Reading database info");
+    const cutoffTime = now - job.olderThanDays * 86400000;
+    const marks = [...(state.marks[database] || []), { time: now, seq: info.update_seq }];
+    const cutoff = marks.filter(mark => mark.time <= cutoffTime).at(-1);
+    state.marks[database] = [...(cutoff ? [cutoff] : []), ...marks.filter(mark => mark.time > cutoffTime)];
+    if (!cutoff) return { purged: 0, waiting: true };
+
+    const limit = seqNumber(cutoff.seq);
+    const tombstones = {};
+    let since = "0";
+    for (;;) {
+      const params = new URLSearchParams({ since, style: "all_docs", limit: String(CHANGES_BATCH) });
+      const page = await check(couch.database(database, `/_changes?${params}`), "Reading changes");
+      const eligible = page.results.filter(change => seqNumber(change.seq) <= limit);
+      for (const change of eligible) {
+        if (change.deleted) tombstones[change.id] = change.changes.map(entry => entry.rev);
+      }
+      if (eligible.length < page.results.length || page.results.length < CHANGES_BATCH) break;
+      since = page.last_seq;
+    }
+
+    const ids = Object.keys(tombstones);
+    for (let i = 0; i < ids.length; i += PURGE_BATCH) {
+      const batch = Object.fromEntries(ids.slice(i, i + PURGE_BATCH).map(id => [id, tombstones[id]]));
+      await check(couch.database(database, "/_purge", { method: "POST", body: batch }), "Purge");
+    }
+    return { purged: ids.length };
+  },
+
+  // Written under a temporary name, so a failed run never looks like a backup
+  async backup({ backups }, database, job) {
+    const { filename, stream } = backups.openExport(database, job.format);
+    await mkdir(job.dir, { recursive: true });
+    const target = join(job.dir, filename);
+    try {
+      await Bun.write(`${target}.partial`, new Response(stream));
+    } catch (err) {
+      await rm(`${target}.partial`, { force: true });
+      throw err;
+    }
+    await rename(`${target}.partial`, target);
+
+    let removed = 0;
+    if (job.keep > 0) {
+      const escaped = database.replace(/[$()+]/g, "\\$&");
+      const pattern = new RegExp(`^${escaped}-\\d{4}-\\d{2}-\\d{2}T.*\\.(ndjson|tar)$`);
+      const old = (await readdir(job.dir)).filter(name => pattern.test(name)).sort().slice(0, -job.keep);
+      for (const name of old) await rm(join(job.dir, name));
+      removed = old.length;
+    }
+    return { file: target, removed };
+  },
+};
+
+function validateConfig(spec) {
+  const problems = [];
+  if (!spec || typeof spec !== "object" || !Array.isArray(spec.jobs)) return ["needs a `jobs` array"];
+  const names = new Set();
+  spec.jobs.forEach((job, i) => {
+    const where = `jobs[${i}]`;
+    if (typeof job.name !== "string" || !JOB_NAME.test(job.name)) problems.push(`${where}.name must be letters, digits, _ and -`);
+    else if (names.has(job.name)) problems.push(`${where}.name "${job.name}" is duplicated`);
+    else names.add(job.name);
+    if (!Object.hasOwn(TASKS, job.task)) problems.push(`${where}.task must be one of ${Object.keys(TASKS).join(", ")}`);
+    try {
+      if (typeof job.schedule !== "string") throw new Error("must be a cron expression");
+      if (!parseCron(job.schedule).next()) throw new Error("never runs");
+    } catch (err) {
+      problems.push(`${where}.schedule ${err.message}`);
+    }
+    if (job.databases !== undefined && (!Array.isArray(job.databases) || !job.databases.every(db => typeof db === "string"))) {
+      problems.push(`${where}.databases must be an array of strings`);
+    }
+    if (job.olderThanDays !== undefined && !(job.olderThanDays > 0)) problems.push(`${where}.olderThanDays must be a positive number`);
+    if (job.format !== undefined && job.format !== "ndjson" && job.format !== "tar") problems.push(`${where}.format must be ndjson or tar`);
+    if (job.keep !== undefined && !(Number.isInteger(job.keep) && job.keep >= 0)) problems.push(`${where}.keep must be a whole number`);
+  });
+  return problems;
+}
+
+/**
+ * Reads jobs.json. A missing file means no scheduled jobs (returns null);
+ * an invalid one throws so mistakes are noticed at startup.
+ * @param {string} file
+ * @returns {Promise<object|null>}
+ */
+export async function loadJobConfig(file) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Could not read jobs ${file}: ${err.message}`);
+  }
+  const problems = validateConfig(spec);
+  if (problems.length) throw new Error(`Invalid jobs ${file}: ${problems.join("; ")}`);
+  return spec;
+}
+
+/**
+ * Creates the job scheduler.
+ * @param {object} options
+ * @param {object} options.couch - Client from createCouch().
+ * @param {object} options.backups - Handlers from createBackups().
+ * @param {object} options.config - Output of loadJobConfig().
+ * @param {string} options.stateFile - Where run history is saved.
+ * @returns {object}
+ */
+export function createJobs({ couch, backups, config, stateFile }) {
+  const jobs = config.jobs.map(spec => ({
+    olderThanDays: 30,
+    dir: "backups",
+    keep: 0,
+    format: "ndjson",
+    ...spec,
+    cron: parseCron(spec.schedule),
+    nextRun: null,
+    timer: null,
+    running: false,
+  }));
+  let state = { jobs: {} };
+  let saving = Promise.resolve();
+
+  const jobState = (job) => (state.jobs[job.name] ??= { history: [], marks: {} });
+
+  function save() {
+    const snapshot = JSON.stringify(state, null, 2);
+    saving = saving.then(async () => {
+      await mkdir(dirname(stateFile), { recursive: true });
+      await writeFile(`${stateFile}.tmp`, snapshot);
+      await rename(`${stateFile}.tmp`, stateFile);
+    }).catch(err => console.error("Job state write failed:", err));
+    return saving;
+  }
+
+  async function databasesFor(job) {
+    if (job.databases) return job.databases;
+    const all = await check(couch.server("/_all_dbs"), "Listing databases");
+    return all.filter(name => !name.startsWith("_"));
+  }
+
+  // One database failing does not stop the others; the run is marked failed.
+  async function run(job, trigger) {
+    if (job.running) return false;
+    job.running = true;
+    const started = new Date();
+    const entry = { trigger, started_at: started.toISOString(), ok: true, databases: {} };
+    try {
+      for (const database of await databasesFor(job)) {
+        try {
+          entry.databases[database] = await TASKS[job.task]({ couch, backups, state: jobState(job) }, database, job);
+        } catch (err) {
+          entry.ok = false;
+          entry.databases[database] = { error: err.message };
+        }
+      }
+    } catch (err) {
+      entry.ok = false;
+      entry.error = err.message;
+    }
+    entry.finished_at = new Date().toISOString();
+    entry.duration_ms = Date.now() - started.getTime();
+    job.running = false;
+
+    const history = jobState(job).history;
+    history.unshift(entry);
+    history.length = Math.min(history.length, HISTORY_LENGTH);
+    await save();
+    const log = entry.ok ? console.log : console.error;
+    log(`[${entry.finished_at}] Job ${job.name} (${job.task}) ${entry.ok ? "finished" : "failed"} in ${entry.duration_ms} ms`);
+    return true;
+  }
+
+  function schedule(job, from) {
+    job.nextRun = job.cron.next(from);
+    if (job.nextRun) wait(job);
+  }
+
+  function wait(job) {
+    const delay = Math.max(0, job.nextRun.getTime() - Date.now());
+    job.timer = setTimeout(() => {
+      if (Date.now() < job.nextRun.getTime()) return wait(job);
+      const due = job.nextRun;
+      run(job, "schedule");
+      // After a suspend, skip the missed runs instead of catching up on each
+      schedule(job, new Date(Math.max(due.getTime(), Date.now())));
+    }, Math.min(delay, MAX_DELAY));
+  }
+
+  function status() {
+    return jobs.map(job => ({
+      name: job.name,
+      task: job.task,
+      schedule: job.schedule,
+      databases: job.databases ?? "all",
+      running: job.running,
+      next_run: job.nextRun?.toISOString() ?? null,
+      history: jobState(job).history,
+    }));
+  }
+
+  return {
+    async start() {
+      try {
+        state = JSON.parse(await readFile(stateFile, "utf-8"));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw new Error(`Could not read job state ${stateFile}: ${err.message}`);
+      }
+      state.jobs ??= {};
+      for (const job of jobs) schedule(job, new Date());
+      console.log(`[${new Date().toISOString()}] Scheduled ${jobs.length} maintenance job(s)`);
+    },
+
+    async stop() {
+      for (const job of jobs) clearTimeout(job.timer);
+      await saving;
+    },
+
+    /**
+     * Routes the admin endpoints below /api/admin/jobs:
+     * GET / lists jobs with their next run and history,
+     * POST /<name>/run starts a job now.
+     * @param {Request} req
+     * @param {string} path - Path below /api/admin/jobs.
+     * @returns {Response}
+     */
+    handle(req, path) {
+      if (path === "" || path === "/") {
+        if (req.method !== "GET") return Response.json({ ok: false, error: "Only GET is allowed" }, { status: 405, headers: { Allow: "GET" } });
+        return Response.json({ jobs: status() });
+      }
+      const match = /^\/([^/]+)\/run$/.exec(path);
+      const job = match && jobs.find(candidate => candidate.name === decodeURIComponent(match[1]));
+      if (!job) return Response.json({ ok: false, error: "No such job" }, { status: 404 });
+      if (req.method !== "POST") return Response.json({ ok: false, error: "Only POST is allowed" }, { status: 405, headers: { Allow: "POST" } });
+      if (job.running) return Response.json({ ok: false, error: `${job.name} is already running` }, { status: 409 });
+      run(job, "manual");
+      return Response.json({ ok: true, started: job.name }, { status: 202 });
+    },
+  };
+}
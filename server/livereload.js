@@ -0,0 +1,122 @@
+// server/livereload.js
+// Dev-only live reload: watches the source directory and tells connected
+// pages to reload over Server-Sent Events.
+
+import { watch } from "node:fs";
+
+export const LIVERELOAD_PATH = "/__livereload";
+
+// Reloads on file changes, and once more when the connection comes back
+// after a server restart.
+const CLIENT_SNIPPET = `<script>
+(() => {
+    const source = new EventSource('${LIVERELOAD_PATH}');
+    let dropped = false;
+    source.addEventListener('reload', () => location.reload());
+    source.addEventListener('error', () => { dropped = true; });
+    source.addEventListener('open', () => { if (dropped) location.reload(); });
+    // Service workers only get in the way while developing
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.getRegistrations().then(regs => regs.forEach(reg => reg.unregister()));
+    }
+})();
+</script>`;
+
+// Served in place of sw.js during development: clears the caches and
+// unregisters itself so pages always load fresh files.
+const DEV_SERVICE_WORKER = `// sw.js (dev)
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.map(name => caches.delete(name))))
+      .then(() => self.registration.unregister())
+  );
+});
+`;
+
+/**
+ * Starts watching a directory for changes.
+ * @param {object} options
+ * @param {string} options.dir - Directory to watch, recursively.
+ * @returns {object}
+ */
+export function createLiveReload({ dir }) {
+  const clients = new Set();
+  const encoder = new TextEncoder();
+  let pending = null;
+
+  function broadcast(chunk) {
+    for (const controller of clients) {
+      try {
+        controller.enqueue(encoder.encode(chunk));
+      } catch {
+        clients.delete(controller);
+      }
+    }
+  }
+
+  // Editors often write a file several times in a row; wait for them to settle.
+  const watcher = watch(dir, { recursive: true }, (event, filename) => {
+    clearTimeout(pending);
+    pending = setTimeout(() => {
+      console.log(`[${new Date().toISOString()}] Changed ${filename}, reloading ${clients.size} page(s)`);
+      broadcast(`event: reload\ndata: ${JSON.stringify({ file: filename })}\n\n`);
+    }, 100);
+  });
+
+  // Comment lines keep idle connections open through proxies.
+  const keepAlive = setInterval(() => broadcast(": ping\n\n"), 30000);
+
+  return {
+    /**
+     * Opens an event stream for one page.
+     * @returns {Response}
+     */
+    connect() {
+      let client;
+      const stream = new ReadableStream({
+        start(controller) {
+          client = controller;
+          clients.add(controller);
+          controller.enqueue(encoder.encode("retry: 1000\n\n"));
+        },
+        cancel() {
+          clients.delete(client);
+        },
+      });
+      return new Response(stream, {
+        headers: {
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-store",
+          "Connection": "keep-alive",
+        },
+      });
+    },
+
+    /**
+     * Adds the client snippet to an HTML page.
+     * @param {string} html
+     * @returns {string}
+     */
+    inject(html) {
+      return html.includes("</body>") ? html.replace("</body>", `${CLIENT_SNIPPET}\n</body>`) : html + CLIENT_SNIPPET;
+    },
+
+    /**
+     * The replacement service worker for development.
+     * @returns {Response}
+     */
+    serviceWorker() {
+      return new Response(DEV_SERVICE_WORKER, {
+        headers: { "Content-Type": "text/javascript", "Cache-Control": "no-store" },
+      });
+    },
+
+    close() {
+      watcher.close();
+      clearInterval(keepAlive);
+      clearTimeout(pending);
+    },
+  };
+}
@@ -0,0 +1,118 @@
+// server/logger.js
+// JSON-lines access log with size-based rotation.
+
+import { appendFile, mkdir, rename, stat } from "node:fs/promises";
+import { dirname } from "node:path";
+
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Uses the caller's X-Request-ID when it looks sane, otherwise makes one up.
+ * @param {Request} req
+ * @returns {string}
+ */
+export function requestId(req) {
+  const incoming = req.headers.get("x-request-id");
+  return incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Creates the access log.
+ * @param {object} options
+ * @param {string} options.file - Log file path, or "-" for stdout.
+ * @param {number} options.maxBytes - Rotate once the file grows past this size.
+ * @param {number} options.maxFiles - Rotated files to keep (file.1 ... file.N).
+ * @param {boolean} [options.echo] - Also print a short line per request to the console.
+ * @returns {object}
+ */
+export function createAccessLog({ file, maxBytes, maxFiles, echo = false }) {
+  let size = null;
+  let queue = Promise.resolve();
+
+  async function rotate() {
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      await rename(`${file}.${i}`, `${file}.${i + 1}`).catch(() => {});
+    }
+    await rename(file, `${file}.1`).catch(() => {});
+    size = 0;
+  }
+
+  async function append(line) {
+    if (size === null) {
+      await mkdir(dirname(file), { recursive: true });
+      size = await stat(file).then(s => s.size, () => 0);
+    }
+    const bytes = Buffer.byteLength(line);
+    if (size > 0 && size + bytes > maxBytes) await rotate();
+    await appendFile(file, line);
+    size += bytes;
+  }
+
+  function write(entry) {
+    if (echo) {
+      const couch = entry.couch_status ? ` couch=${entry.couch_status}` : "";
+      console.log(`[${entry.time}] ${entry.method} ${entry.path} ${entry.status} ${entry.duration_ms}ms${couch}`);
+    }
+    const line = JSON.stringify(entry) + "\n";
+    if (file === "-") {
+      process.stdout.write(line);
+      return;
+    }
+    // Writes are chained so lines never interleave and rotation is not raced.
+    queue = queue.then(() => append(line)).catch(err => console.error("Access log write failed:", err));
+  }
+
+  return {
+    /**
+     * Logs a response once its body has been sent (or the client went away).
+     * Bodies without a Content-Length are counted as they stream.
+     * @param {Response} response
+     * @param {object} fields - Entry fields known when the handler returned.
+     * @param {number} started - performance.now() at the start of the request.
+     * @returns {Response} The response to send.
+     */
+    track(response, fields, started) {
+      const finish = (bytes, aborted) => write({
+        time: new Date().toISOString(),
+        ...fields,
+        status: response.status,
+        duration_ms: Math.round(performance.now() - started),
+        bytes,
+        ...(aborted && { aborted: true }),
+      });
+
+      const length = response.headers.get("content-length");
+      if (!response.body || length !== null) {
+        finish(response.body ? Number(length) : 0, false);
+        return response;
+      }
+
+      let bytes = 0;
+      let finished = false;
+      const reader = response.body.getReader();
+      const counted = new ReadableStream({
+        async pull(controller) {
+          const { done, value } = await reader.read();
+          if (done) {
+            controller.close();
+            if (!finished) finish(bytes, false);
+            finished = true;
+            return;
+          }
+          bytes += value.byteLength;
+          controller.enqueue(value);
+        },
+        cancel(reason) {
+          if (!finished) finish(bytes, true);
+          finished = true;
+          return reader.cancel(reason);
+        },
+      });
+      return new Response(counted, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+      });
+    },
+  };
+}
@@ -0,0 +1,123 @@
+// server/metrics.js
+// In-memory request metrics, exposed in the Prometheus text format.
+
+const BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelString(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${String(value).replace(/["\\\n]/g, "\\$&")}"`);
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+}
+
+function createCounter() {
+  const values = new Map();
+  return {
+    inc(labels, by = 1) {
+      const key = labelString(labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    lines(name) {
+      return [...values].map(([key, value]) => `${name}${key} ${value}`);
+    },
+  };
+}
+
+function createHistogram() {
+  const series = new Map();
+  return {
+    observe(labels, seconds) {
+      const key = JSON.stringify(labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { labels, counts: BUCKETS.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) entry.counts[i]++;
+      });
+      entry.sum += seconds;
+      entry.count++;
+    },
+    lines(name) {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        BUCKETS.forEach((bound, i) => lines.push(`${name}_bucket${labelString({ ...labels, le: bound })} ${counts[i]}`));
+        lines.push(`${name}_bucket${labelString({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${labelString(labels)} ${sum}`);
+        lines.push(`${name}_count${labelString(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+/**
+ * Creates the metrics registry.
+ * @returns {object}
+ */
+export function createMetrics() {
+  const startedAt = Date.now();
+  const requests = createCounter();
+  const errors = createCounter();
+  const durations = createHistogram();
+  const proxyDurations = createHistogram();
+  const proxyResponses = createCounter();
+  const webhookDeliveries = createCounter();
+
+  const families = [
+    ["http_requests_total", "counter", "Requests handled, by route, method and status.", requests],
+    ["http_request_errors_total", "counter", "Requests that failed with an unhandled error, by route.", errors],
+    ["http_request_duration_seconds", "histogram", "Time to produce response headers, by route.", durations],
+    ["couchdb_proxy_duration_seconds", "histogram", "Time CouchDB took to answer proxied requests, by method.", proxyDurations],
+    ["couchdb_proxy_responses_total", "counter", "Proxied CouchDB responses, by status.", proxyResponses],
+    ["webhook_deliveries_total", "counter", "Webhook delivery attempts, by rule and outcome.", webhookDeliveries],
+  ];
+
+  return {
+    /**
+     * Records a finished request.
+     * @param {string} route - Low-cardinality route name.
+     * @param {string} method
+     * @param {number} status
+     * @param {number} ms - Duration in milliseconds.
+     */
+    recordRequest(route, method, status, ms) {
+      requests.inc({ route, method, status });
+      durations.observe({ route }, ms / 1000);
+    },
+
+    recordError(route) {
+      errors.inc({ route });
+    },
+
+    recordProxy(method, status, ms) {
+      proxyDurations.observe({ method }, ms / 1000);
+      proxyResponses.inc({ status });
+    },
+
+    recordWebhook(rule, outcome) {
+      webhookDeliveries.inc({ rule, outcome });
+    },
+
+    /**
+     * Renders every metric in the Prometheus text exposition format.
+     * @returns {Response}
+     */
+    render() {
+      const lines = [];
+      for (const [name, type, help, metric] of families) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...metric.lines(name));
+      }
+      lines.push(
+        "# HELP process_uptime_seconds Seconds since the server started.",
+        "# TYPE process_uptime_seconds gauge",
+        `process_uptime_seconds ${(Date.now() - startedAt) / 1000}`,
+        "# HELP process_resident_memory_bytes Resident memory size in bytes.",
+        "# TYPE process_resident_memory_bytes gauge",
+        `process_resident_memory_bytes ${process.memoryUsage().rss}`
+      );
+      return new Response(lines.join("\n") + "\n", {
+        headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8", "Cache-Control": "no-store" },
+      });
+    },
+  };
+}
@@ -0,0 +1,764 @@
+// server/mock-couch.js
+// In-process stand-in for CouchDB, enabled with `--mock-couch`.
+//
+// Implements the part of the HTTP API that PouchDB replication, the
+// capture hook and the proxy use: database create/info/delete, document
+// CRUD with revision trees, _bulk_docs, _bulk_get, _revs_diff, _changes
+// (normal and longpoll), _all_docs, _purge, _local checkpoints and
+// attachments.
+// There are no views, no Mango queries and no security; every request is
+// treated as coming from an admin.
+
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+
+const DB_NAME = /^[a-z][a-z0-9_$()+/-]*$/;
+const LONGPOLL_TIMEOUT = 60000;
+
+class CouchError extends Error {
+  constructor(status, error, reason) {
+    super(reason);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+const notFound = (reason = "missing") => new CouchError(404, "not_found", reason);
+const conflict = () => new CouchError(409, "conflict", "Document update conflict.");
+const badRequest = (reason) => new CouchError(400, "bad_request", reason);
+
+function json(body, status = 200) {
+  return Response.json(body, { status });
+}
+
+function randomHex(bytes = 16) {
+  return Buffer.from(crypto.getRandomValues(new Uint8Array(bytes))).toString("hex");
+}
+
+function md5Digest(bytes) {
+  return `md5-${new Bun.CryptoHasher("md5").update(bytes).digest("base64")}`;
+}
+
+function revGeneration(rev) {
+  return parseInt(rev, 10);
+}
+
+function parseJsonParam(params, name) {
+  const value = params.get(name);
+  if (value === null) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw badRequest(`Invalid JSON in query parameter "${name}"`);
+  }
+}
+
+function flag(params, name, fallback = false) {
+  const value = params.get(name);
+  return value === null ? fallback : value === "true";
+}
+
+function emptyDatabase() {
+  return { seq: 0, docs: {}, local: {}, blobs: {} };
+}
+
+// -- Revision trees ---------------------------------------------------------
+// A document record is { seq, revs: { [rev]: { parent, leaf, deleted, body } } }.
+// Only leaf revisions keep a body; attachment bytes live in db.blobs keyed
+// by digest and bodies hold stubs.
+
+function leafRevs(record) {
+  return Object.keys(record.revs).filter(rev => record.revs[rev].leaf);
+}
+
+// CouchDB's deterministic winner: live beats deleted, then the highest
+// generation, then the highest revision id.
+function winningRev(record) {
+  return leafRevs(record).sort((a, b) => {
+    const da = record.revs[a].deleted, db = record.revs[b].deleted;
+    if (da !== db) return da ? 1 : -1;
+    const ga = revGeneration(a), gb = revGeneration(b);
+    if (ga !== gb) return gb - ga;
+    return a < b ? 1 : -1;
+  })[0];
+}
+
+function revisionHistory(record, rev) {
+  const ids = [];
+  for (let current = rev; current; current = record.revs[current]?.parent) {
+    ids.push(current.slice(current.indexOf("-") + 1));
+  }
+  return { start: revGeneration(rev), ids };
+}
+
+function leafDescendants(record, rev) {
+  return leafRevs(record).filter(leaf => {
+    for (let current = leaf; current; current = record.revs[current]?.parent) {
+      if (current === rev) return true;
+    }
+    return false;
+  });
+}
+
+function stripBody(doc) {
+  const body = {};
+  for (const [key, value] of Object.entries(doc)) {
+    if (key === "_id" || key === "_rev" || key === "_revisions" || key === "_deleted") continue;
+    body[key] = value;
+  }
+  return body;
+}
+
+function formatDoc(db, id, record, rev, { revs = false, attachments = false, conflicts = false } = {}) {
+  const entry = record.revs[rev];
+  if (!entry || !entry.body) throw notFound();
+
+  const doc = { _id: id, _rev: rev, ...entry.body };
+  if (entry.deleted) doc._deleted = true;
+  if (revs) doc._revisions = revisionHistory(record, rev);
+  if (conflicts) {
+    const others = leafRevs(record).filter(leaf => leaf !== rev && !record.revs[leaf].deleted);
+    if (others.length) doc._conflicts = others;
+  }
+  if (doc._attachments) {
+    doc._attachments = Object.fromEntries(Object.entries(doc._attachments).map(([name, att]) => {
+      if (!attachments) return [name, att];
+      const { stub, ...rest } = att;
+      return [name, { ...rest, data: db.blobs[att.digest] }];
+    }));
+  }
+  return doc;
+}
+
+// Turns incoming attachments (inline base64 or stubs) into stubs and stores
+// the bytes by digest.
+function storeAttachments(db, incoming, parentBody, revpos) {
+  if (!incoming) return undefined;
+  const stored = {};
+  for (const [name, att] of Object.entries(incoming)) {
+    if (att.stub) {
+      const previous = parentBody?._attachments?.[name];
+      const digest = att.digest || previous?.digest;
+      if (!digest || db.blobs[digest] === undefined) {
+        throw new CouchError(412, "missing_stub", `Invalid attachment stub for ${name}`);
+      }
+      stored[name] = { ...(previous || {}), ...att, digest, stub: true };
+      continue;
+    }
+    if (typeof att.data !== "string") throw badRequest(`Attachment ${name} has no data`);
+    const bytes = Buffer.from(att.data, "base64");
+    const digest = md5Digest(bytes);
+    db.blobs[digest] = att.data;
+    stored[name] = {
+      content_type: att.content_type || "application/octet-stream",
+      digest,
+      length: bytes.length,
+      revpos,
+      stub: true,
+    };
+  }
+  return stored;
+}
+
+function retireLeaf(record, rev) {
+  const entry = record.revs[rev];
+  if (entry && entry.leaf) {
+    entry.leaf = false;
+    entry.body = null;
+  }
+}
+
+function writeDoc(db, doc, newEdits) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw badRequest("Document must be a JSON object");
+  const id = doc._id || randomHex();
+  if (typeof id !== "string") throw badRequest("Document id must be a string");
+  if (id.startsWith("_") && !id.startsWith("_design/")) {
+    throw badRequest("Only reserved document ids may start with underscore.");
+  }
+  const record = db.docs[id] || { seq: 0, revs: {} };
+
+  let rev;
+  let parent;
+  if (newEdits) {
+    if (doc._rev) {
+      if (!record.revs[doc._rev]?.leaf) throw conflict();
+      parent = doc._rev;
+    } else if (Object.keys(record.revs).length) {
+      parent = winningRev(record);
+      if (!record.revs[parent].deleted) throw conflict();
+    }
+    rev = `${parent ? revGeneration(parent) + 1 : 1}-${randomHex()}`;
+  } else {
+    if (!doc._rev) throw badRequest("new_edits=false requires _rev");
+    if (record.revs[doc._rev]) return { id, rev: doc._rev, existing: true };
+
+    const history = doc._revisions
+      ? doc._revisions.ids.map((hash, i) => `${doc._revisions.start - i}-${hash}`)
+      : [doc._rev];
+    if (history[0] !== doc._rev) throw badRequest("_rev does not match _revisions");
+
+    // Make sure every ancestor exists so revision histories stay complete.
+    for (let i = history.length - 1; i >= 1; i--) {
+      if (!record.revs[history[i]]) {
+        record.revs[history[i]] = { parent: history[i + 1] || null, leaf: false, deleted: false, body: null };
+      }
+    }
+    rev = doc._rev;
+    parent = history[1];
+  }
+
+  const parentBody = parent ? record.revs[parent]?.body : null;
+  const body = stripBody(doc);
+  const attachments = storeAttachments(db, doc._attachments, parentBody, revGeneration(rev));
+  if (attachments) body._attachments = attachments;
+
+  if (parent) retireLeaf(record, parent);
+  record.revs[rev] = { parent: parent || null, leaf: true, deleted: !!doc._deleted, body };
+  record.seq = ++db.seq;
+  db.docs[id] = record;
+  return { id, rev };
+}
+
+// -- Store ------------------------------------------------------------------
+
+/**
+ * Creates an in-process CouchDB stand-in.
+ * @param {object} [options]
+ * @param {string} [options.file] - JSON file to persist to. Memory only when omitted.
+ * @returns {{fetch: function(RequestInfo, RequestInit=): Promise<Response>, flush: function(): Promise<void>}}
+ */
+export function createMockCouch({ file } = {}) {
+  let state = { dbs: {} };
+  const listeners = new Map();
+  let persistTimer = null;
+  let persisting = Promise.resolve();
+
+  const ready = (async () => {
+    if (!file) return;
+    try {
+      state = JSON.parse(await readFile(file, "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  })();
+
+  async function persist() {
+    if (!file) return;
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify(state));
+    await rename(`${file}.tmp`, file);
+  }
+
+  function changed(name) {
+    if (file && !persistTimer) {
+      persistTimer = setTimeout(() => {
+        persistTimer = null;
+        persisting = persisting.then(persist).catch(err => console.error("Mock CouchDB persist failed:", err));
+      }, 100);
+    }
+    const waiting = listeners.get(name);
+    if (waiting) {
+      listeners.delete(name);
+      waiting.forEach(resolve => resolve());
+    }
+  }
+
+  function waitForChange(name, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      if (!listeners.has(name)) listeners.set(name, new Set());
+      listeners.get(name).add(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
+  function database(name) {
+    const db = state.dbs[name];
+    if (!db) throw notFound("Database does not exist.");
+    return db;
+  }
+
+  // -- Database-level handlers ----------------------------------------------
+
+  function databaseInfo(name, db) {
+    let docCount = 0;
+    let deletedCount = 0;
+    for (const record of Object.values(db.docs)) {
+      if (record.revs[winningRev(record)].deleted) deletedCount++;
+      else docCount++;
+    }
+    return {
+      db_name: name,
+      doc_count: docCount,
+      doc_del_count: deletedCount,
+      update_seq: db.seq,
+      purge_seq: 0,
+      compact_running: false,
+      sizes: { active: 0, external: 0, file: 0 },
+      instance_start_time: "0",
+    };
+  }
+
+  function changes(db, since, params, docIds) {
+    const limit = params.has("limit") ? parseInt(params.get("limit"), 10) : Infinity;
+    const includeDocs = flag(params, "include_docs");
+    const allLeaves = params.get("style") === "all_docs";
+    const descending = flag(params, "descending");
+
+    let rows = Object.entries(db.docs)
+      .filter(([id, record]) => record.seq > since && (!docIds || docIds.includes(id)))
+      .sort((a, b) => a[1].seq - b[1].seq);
+    if (descending) rows.reverse();
+    const truncated = rows.length > limit;
+    rows = rows.slice(0, limit);
+
+    const results = rows.map(([id, record]) => {
+      const winner = winningRev(record);
+      const change = {
+        seq: record.seq,
+        id,
+        changes: (allLeaves ? leafRevs(record) : [winner]).map(rev => ({ rev })),
+      };
+      if (record.revs[winner].deleted) change.deleted = true;
+      if (includeDocs) {
+        change.doc = formatDoc(db, id, record, winner, {
+          attachments: flag(params, "attachments"),
+          conflicts: flag(params, "conflicts"),
+        });
+      }
+      return change;
+    });
+
+    const lastSeq = truncated || descending ? (results.at(-1)?.seq ?? since) : Math.max(since, db.seq);
+    return { results, last_seq: lastSeq, pending: truncated ? 1 : 0 };
+  }
+
+  async function handleChanges(req, name, params) {
+    const db = database(name);
+    const sinceParam = params.get("since");
+    const since = sinceParam === "now" ? db.seq : parseInt(sinceParam, 10) || 0;
+
+    let docIds;
+    if (params.get("filter") === "_doc_ids") {
+      docIds = req.method === "POST" ? (await req.json()).doc_ids : parseJsonParam(params, "doc_ids");
+      if (!Array.isArray(docIds)) throw badRequest("_doc_ids filter requires doc_ids");
+    } else if (params.has("filter")) {
+      throw badRequest(`Filter ${params.get("filter")} is not supported by the mock`);
+    }
+
+    const feed = params.get("feed") || "normal";
+    if (feed !== "normal" && feed !== "longpoll") {
+      throw badRequest(`feed=${feed} is not supported by the mock`);
+    }
+
+    let result = changes(db, since, params, docIds);
+    if (feed === "longpoll" && !result.results.length) {
+      const timeout = parseInt(params.get("timeout"), 10) || LONGPOLL_TIMEOUT;
+      const heartbeat = parseInt(params.get("heartbeat"), 10) || Infinity;
+      await waitForChange(name, Math.min(timeout, heartbeat, LONGPOLL_TIMEOUT));
+      result = changes(database(name), since, params, docIds);
+    }
+    return json(result);
+  }
+
+  function handleAllDocs(db, params, body) {
+    const keys = body?.keys ?? parseJsonParam(params, "keys");
+    const includeDocs = flag(params, "include_docs");
+    const descending = flag(params, "descending");
+    const options = { attachments: flag(params, "attachments"), conflicts: flag(params, "conflicts") };
+    const liveIds = Object.keys(db.docs).filter(id => !db.docs[id].revs[winningRev(db.docs[id])].deleted);
+
+    let rows;
+    if (keys) {
+      rows = keys.map(key => {
+        const record = db.docs[key];
+        if (!record) return { key, error: "not_found" };
+        const winner = winningRev(record);
+        if (record.revs[winner].deleted) return { id: key, key, value: { rev: winner, deleted: true }, doc: null };
+        const row = { id: key, key, value: { rev: winner } };
+        if (includeDocs) row.doc = formatDoc(db, key, record, winner, options);
+        return row;
+      });
+    } else {
+      const key = parseJsonParam(params, "key");
+      let start = parseJsonParam(params, "startkey") ?? parseJsonParam(params, "start_key");
+      let end = parseJsonParam(params, "endkey") ?? parseJsonParam(params, "end_key");
+      const inclusiveEnd = flag(params, "inclusive_end", true);
+
+      let ids = liveIds.sort();
+      if (descending) ids.reverse();
+      if (key !== undefined) ids = ids.filter(id => id === key);
+      if (start !== undefined) ids = ids.filter(id => (descending ? id <= start : id >= start));
+      if (end !== undefined) {
+        ids = ids.filter(id => {
+          if (id === end) return inclusiveEnd;
+          return descending ? id > end : id < end;
+        });
+      }
+
+      const skip = parseInt(params.get("skip"), 10) || 0;
+      const limit = params.has("limit") ? parseInt(params.get("limit"), 10) : Infinity;
+      rows = ids.slice(skip, skip + limit).map(id => {
+        const record = db.docs[id];
+        const winner = winningRev(record);
+        const row = { id, key: id, value: { rev: winner } };
+        if (includeDocs) row.doc = formatDoc(db, id, record, winner, options);
+        return row;
+      });
+    }
+    return json({ total_rows: liveIds.length, offset: parseInt(params.get("skip"), 10) || 0, rows });
+  }
+
+  function handleBulkDocs(name, db, body) {
+    if (!body || !Array.isArray(body.docs)) throw badRequest("POST body must include `docs` parameter.");
+    const newEdits = body.new_edits !== false;
+    const results = [];
+    for (const doc of body.docs) {
+      try {
+        const result = writeDoc(db, doc, newEdits);
+        if (newEdits) results.push({ ok: true, id: result.id, rev: result.rev });
+      } catch (err) {
+        if (!(err instanceof CouchError)) throw err;
+        results.push({ id: doc?._id, error: err.error, reason: err.message });
+      }
+    }
+    changed(name);
+    return json(results, 201);
+  }
+
+  function handleRevsDiff(db, body) {
+    const result = {};
+    for (const [id, revs] of Object.entries(body || {})) {
+      const record = db.docs[id];
+      const missing = revs.filter(rev => !record?.revs[rev]);
+      if (missing.length) result[id] = { missing };
+    }
+    return json(result);
+  }
+
+  function handleBulkGet(db, params, body) {
+    if (!body || !Array.isArray(body.docs)) throw badRequest("Missing JSON list of 'docs'.");
+    const options = { revs: flag(params, "revs"), attachments: flag(params, "attachments") };
+    const latest = flag(params, "latest");
+
+    const results = body.docs.map(({ id, rev }) => {
+      const record = db.docs[id];
+      const missing = (r) => ({ error: { id, rev: r, error: "not_found", reason: "missing" } });
+      if (!record) return { id, docs: [missing(rev)] };
+
+      let revs = rev ? [rev] : [winningRev(record)];
+      if (latest && rev && !record.revs[rev]?.leaf) revs = leafDescendants(record, rev);
+      if (!revs.length) return { id, docs: [missing(rev)] };
+
+      const docs = revs.map(r => {
+        if (!record.revs[r]?.body) return missing(r);
+        return { ok: formatDoc(db, id, record, r, options) };
+      });
+      return { id, docs };
+    });
+    return json({ results });
+  }
+
+  // -- Document-level handlers ----------------------------------------------
+
+  function getDocument(db, id, params) {
+    const record = db.docs[id];
+    if (!record) throw notFound();
+    const options = {
+      revs: flag(params, "revs"),
+      attachments: flag(params, "attachments"),
+      conflicts: flag(params, "conflicts"),
+    };
+
+    if (params.has("open_revs")) {
+      const openRevs = params.get("open_revs") === "all" ? leafRevs(record) : parseJsonParam(params, "open_revs");
+      const latest = flag(params, "latest");
+      const results = [];
+      for (const rev of openRevs) {
+        const targets = latest && record.revs[rev] && !record.revs[rev].leaf ? leafDescendants(record, rev) : [rev];
+        for (const target of targets) {
+          results.push(record.revs[target]?.body
+            ? { ok: formatDoc(db, id, record, target, options) }
+            : { missing: target });
+        }
+      }
+      return json(results);
+    }
+
+    const rev = params.get("rev") || winningRev(record);
+    if (!params.has("rev") && record.revs[rev].deleted) throw notFound("deleted");
+    return json(formatDoc(db, id, record, rev, options));
+  }
+
+  function putDocument(name, db, id, doc, params) {
+    const rev = params.get("rev");
+    const result = writeDoc(db, { ...doc, _id: id, ...(rev && { _rev: rev }) }, params.get("new_edits") !== "false");
+    changed(name);
+    return json({ ok: true, id: result.id, rev: result.rev }, 201);
+  }
+
+  function deleteDocument(name, db, id, params) {
+    const rev = params.get("rev");
+    if (!rev) throw conflict();
+    const result = writeDoc(db, { _id: id, _rev: rev, _deleted: true }, true);
+    changed(name);
+    return json({ ok: true, id: result.id, rev: result.rev });
+  }
+
+  function getAttachment(db, id, attName, params) {
+    const record = db.docs[id];
+    if (!record) throw notFound();
+    const rev = params.get("rev") || winningRev(record);
+    const att = record.revs[rev]?.body?._attachments?.[attName];
+    if (!att || record.revs[rev].deleted) throw notFound("Document is missing attachment");
+    return new Response(Buffer.from(db.blobs[att.digest], "base64"), {
+      headers: { "Content-Type": att.content_type, "Content-MD5": att.digest.slice(4), "ETag": `"${att.digest}"` },
+    });
+  }
+
+  async function putAttachment(req, name, db, id, attName, params) {
+    const rev = params.get("rev") || req.headers.get("if-match")?.replace(/"/g, "");
+    const record = db.docs[id];
+    let doc = { _id: id };
+    if (record) {
+      if (!rev) throw conflict();
+      doc = formatDoc(db, id, record, rev);
+    }
+    const bytes = Buffer.from(await req.arrayBuffer());
+    doc._attachments = {
+      ...doc._attachments,
+      [attName]: { content_type: req.headers.get("content-type") || "application/octet-stream", data: bytes.toString("base64") },
+    };
+    const result = writeDoc(db, doc, true);
+    changed(name);
+    return json({ ok: true, id: result.id, rev: result.rev }, 201);
+  }
+
+  function deleteAttachment(name, db, id, attName, params) {
+    const record = db.docs[id];
+    const rev = params.get("rev");
+    if (!record) throw notFound();
+    if (!rev) throw conflict();
+    const doc = formatDoc(db, id, record, rev);
+    if (!doc._attachments?.[attName]) throw notFound("Document is missing attachment");
+    delete doc._attachments[attName];
+    const result = writeDoc(db, doc, true);
+    changed(name);
+    return json({ ok: true, id: result.id, rev: result.rev });
+  }
+
+  function handleLocal(req, name, db, id, body) {
+    const existing = db.local[id];
+    switch (req.method) {
+      case "GET":
+      case "HEAD":
+        if (!existing) throw notFound();
+        return json({ ...existing.body, _id: `_local/${id}`, _rev: `0-${existing.version}` });
+      case "PUT": {
+        if (existing && body._rev && body._rev !== `0-${existing.version}`) throw conflict();
+        const version = (existing?.version || 0) + 1;
+        db.local[id] = { version, body: stripBody(body) };
+        changed(name);
+        return json({ ok: true, id: `_local/${id}`, rev: `0-${version}` }, 201);
+      }
+      case "DELETE":
+        if (!existing) throw notFound();
+        delete db.local[id];
+        changed(name);
+        return json({ ok: true, id: `_local/${id}`, rev: "0-0" });
+      default:
+        throw new CouchError(405, "method_not_allowed", "Only GET, PUT, DELETE allowed");
+    }
+  }
+
+  // Removes leaf revisions outright; a document with no leaves left is gone
+  // from the database and its changes feed.
+  function handlePurge(name, db, body) {
+    if (!body || typeof body !== "object") throw badRequest("Request body must be a JSON object");
+    const purged = {};
+    for (const [id, revs] of Object.entries(body)) {
+      const record = db.docs[id];
+      purged[id] = [];
+      if (!record || !Array.isArray(revs)) continue;
+      for (const rev of revs) {
+        if (!record.revs[rev]?.leaf) continue;
+        record.revs[rev].leaf = false;
+        delete record.revs[rev].body;
+        purged[id].push(rev);
+      }
+      if (!leafRevs(record).length) delete db.docs[id];
+    }
+    changed(name);
+    return json({ purge_seq: null, purged }, 201);
+  }
+
+  // Drops attachment bytes no leaf revision refers to any more.
+  function compact(db) {
+    const used = new Set();
+    for (const record of Object.values(db.docs)) {
+      for (const entry of Object.values(record.revs)) {
+        for (const att of Object.values(entry.body?._attachments || {})) used.add(att.digest);
+      }
+    }
+    for (const digest of Object.keys(db.blobs)) {
+      if (!used.has(digest)) delete db.blobs[digest];
+    }
+  }
+
+  // -- Router ---------------------------------------------------------------
+
+  async function readBody(req) {
+    if (req.method === "GET" || req.method === "HEAD" || req.method === "DELETE") return undefined;
+    const text = await req.text();
+    if (!text) return undefined;
+    try {
+      return JSON.parse(text);
+    } catch {
+      throw badRequest("invalid UTF-8 JSON");
+    }
+  }
+
+  async function route(req) {
+    const url = new URL(req.url);
+    const params = url.searchParams;
+    const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    const [name, ...rest] = parts;
+
+    if (!name) {
+      return json({ couchdb: "Welcome", version: "3.3.3", vendor: { name: "mock-couch" }, features: [] });
+    }
+    if (name === "_up") return json({ status: "ok" });
+    if (name === "_all_dbs") return json(Object.keys(state.dbs).sort());
+    if (name === "_uuids") {
+      const count = parseInt(params.get("count"), 10) || 1;
+      return json({ uuids: Array.from({ length: count }, () => randomHex()) });
+    }
+    if (name === "_session") {
+      return json({ ok: true, userCtx: { name: "admin", roles: ["_admin"] }, info: { authenticated: "default" } });
+    }
+    if (name.startsWith("_")) throw notFound("Database does not exist.");
+
+    // /{db}
+    if (!rest.length) {
+      switch (req.method) {
+        case "GET":
+        case "HEAD":
+          return json(databaseInfo(name, database(name)));
+        case "PUT":
+          if (!DB_NAME.test(name)) throw new CouchError(400, "illegal_database_name", `Name: '${name}'.`);
+          if (state.dbs[name]) throw new CouchError(412, "file_exists", "The database could not be created, the file already exists.");
+          state.dbs[name] = emptyDatabase();
+          changed(name);
+          return json({ ok: true }, 201);
+        case "DELETE":
+          database(name);
+          delete state.dbs[name];
+          changed(name);
+          return json({ ok: true });
+        case "POST": {
+          const db = database(name);
+          const result = writeDoc(db, await readBody(req), true);
+          changed(name);
+          return json({ ok: true, id: result.id, rev: result.rev }, 201);
+        }
+        default:
+          throw new CouchError(405, "method_not_allowed", "Only DELETE,GET,HEAD,POST,PUT allowed");
+      }
+    }
+
+    const db = database(name);
+    const [first, ...tail] = rest;
+
+    switch (first) {
+      case "_all_docs":
+        return handleAllDocs(db, params, await readBody(req));
+      case "_bulk_docs":
+        return handleBulkDocs(name, db, await readBody(req));
+      case "_bulk_get":
+        return handleBulkGet(db, params, await readBody(req));
+      case "_revs_diff":
+        return handleRevsDiff(db, await readBody(req));
+      case "_changes":
+        return handleChanges(req, name, params);
+      case "_ensure_full_commit":
+        return json({ ok: true, instance_start_time: "0" }, 201);
+      case "_purge":
+        return handlePurge(name, db, await readBody(req));
+      case "_compact":
+      case "_view_cleanup":
+        if (first === "_compact") compact(db);
+        return json({ ok: true }, 202);
+      case "_security":
+        return json(req.method === "PUT" ? { ok: true } : {});
+      case "_local":
+        if (!tail.length) throw notFound();
+        return handleLocal(req, name, db, tail.join("/"), (await readBody(req)) || {});
+    }
+
+    // Design documents keep their two-segment id.
+    let id = first;
+    let attachment = tail;
+    if (first === "_design") {
+      if (!tail.length) throw notFound();
+      id = `_design/${tail[0]}`;
+      attachment = tail.slice(1);
+    } else if (first.startsWith("_")) {
+      throw badRequest(`${first} is not supported by the mock`);
+    }
+
+    if (attachment.length) {
+      const attName = attachment.join("/");
+      if (req.method === "GET" || req.method === "HEAD") return getAttachment(db, id, attName, params);
+      if (req.method === "PUT") return putAttachment(req, name, db, id, attName, params);
+      if (req.method === "DELETE") return deleteAttachment(name, db, id, attName, params);
+      throw new CouchError(405, "method_not_allowed", "Only DELETE,GET,HEAD,PUT allowed");
+    }
+
+    switch (req.method) {
+      case "GET":
+      case "HEAD":
+        return getDocument(db, id, params);
+      case "PUT":
+        return putDocument(name, db, id, (await readBody(req)) || {}, params);
+      case "DELETE":
+        return deleteDocument(name, db, id, params);
+      default:
+        throw new CouchError(405, "method_not_allowed", "Only DELETE,GET,HEAD,PUT allowed");
+    }
+  }
+
+  return {
+    /**
+     * Answers a CouchDB request. Drop-in replacement for fetch().
+     * @param {RequestInfo} input
+     * @param {RequestInit} [init]
+     * @returns {Promise<Response>}
+     */
+    async fetch(input, init) {
+      await ready;
+      const req = new Request(input, init);
+      try {
+        const response = await route(req);
+        return req.method === "HEAD" ? new Response(null, response) : response;
+      } catch (err) {
+        if (err instanceof CouchError) return json({ error: err.error, reason: err.message }, err.status);
+        console.error("Mock CouchDB error:", err);
+        return json({ error: "unknown_error", reason: err.message }, 500);
+      }
+    },
+
+    /**
+     * Writes pending changes to the storage file.
+     */
+    async flush() {
+      if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+        persisting = persisting.then(persist);
+      }
+      await persisting;
+    },
+  };
+}
@@ -0,0 +1,113 @@
+// server/policy.js
+// Allowlist for requests forwarded by /db-proxy, loaded from
+// proxy-policy.json:
+//
+//   databases: glob patterns ("vault-*") the proxy may target
+//   rules:     { path, methods } pairs, paths relative to the database
+//
+// Path patterns match whole segments. ":name" matches one segment that does
+// not start with "_" (a document id or name), "*" matches one or more
+// remaining segments, anything else must match literally. Segments are
+// compared after percent-decoding, so "%5Fconfig" cannot sneak past.
+
+import { readFile } from "node:fs/promises";
+
+const METHODS = new Set(["GET", "HEAD", "POST", "PUT", "DELETE", "COPY"]);
+
+function globToRegExp(glob) {
+  const source = glob.split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function splitPath(path) {
+  return path.split("/").filter(Boolean);
+}
+
+function compilePattern(pattern) {
+  const segments = splitPath(pattern);
+  const wildcard = segments.indexOf("*");
+  if (wildcard !== -1 && wildcard !== segments.length - 1) {
+    throw new Error(`"*" must be the last segment in "${pattern}"`);
+  }
+
+  return (parts) => {
+    if (wildcard === -1 ? parts.length !== segments.length : parts.length < segments.length) return false;
+    return segments.every((segment, i) => {
+      if (segment === "*") return true;
+      if (segment.startsWith(":")) return !parts[i].startsWith("_");
+      return parts[i] === segment;
+    });
+  };
+}
+
+/**
+ * Validates and compiles a policy object.
+ * @param {object} spec - The parsed policy file.
+ * @returns {{check: function(string, string, string): string|null}}
+ */
+export function compilePolicy(spec) {
+  if (!spec || !Array.isArray(spec.databases) || !Array.isArray(spec.rules)) {
+    throw new Error("Proxy policy needs `databases` and `rules` arrays");
+  }
+  const databases = spec.databases.map(globToRegExp);
+  const rules = spec.rules.map((rule, i) => {
+    if (typeof rule.path !== "string" || !rule.path.startsWith("/")) {
+      throw new Error(`rules[${i}].path must be a string starting with "/"`);
+    }
+    if (!Array.isArray(rule.methods) || !rule.methods.length) {
+      throw new Error(`rules[${i}].methods must be a non-empty array`);
+    }
+    const methods = new Set(rule.methods.map(method => {
+      const upper = String(method).toUpperCase();
+      if (!METHODS.has(upper)) throw new Error(`rules[${i}] has unknown method ${method}`);
+      return upper;
+    }));
+    return { matches: compilePattern(rule.path), methods };
+  });
+
+  return {
+    /**
+     * Checks a proxied request.
+     * @param {string} database - Target database name.
+     * @param {string} method - HTTP method.
+     * @param {string} path - Raw path below the database, e.g. "/_bulk_docs".
+     * @returns {string|null} Why the request is refused, or null when allowed.
+     */
+    check(database, method, path) {
+      if (!databases.some(pattern => pattern.test(database))) {
+        return `Database ${database} is not allowed`;
+      }
+      let parts;
+      try {
+        parts = splitPath(path).map(decodeURIComponent);
+      } catch {
+        return "Malformed path";
+      }
+      const matching = rules.filter(rule => rule.matches(parts));
+      if (!matching.length) return `Path ${path || "/"} is not allowed`;
+      if (!matching.some(rule => rule.methods.has(method))) {
+        return `${method} is not allowed on ${path || "/"}`;
+      }
+      return null;
+    },
+  };
+}
+
+/**
+ * Reads and compiles a policy file. Throws when it is missing or invalid,
+ * so the server refuses to start with an open proxy.
+ * @param {string} file
+ */
+export async function loadPolicy(file) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read proxy policy ${file}: ${err.message}`);
+  }
+  try {
+    return compilePolicy(spec);
+  } catch (err) {
+    throw new Error(`Invalid proxy policy ${file}: ${err.message}`);
+  }
+}
@@ -0,0 +1,122 @@
+// server/selector.js
+// A subset of CouchDB Mango selectors, for matching documents in-process.
+//
+//   { "type": "block_document", "tags": { "$elemMatch": { "$eq": "work" } } }
+//
+// Field names may be dotted paths. Supported operators: $eq $ne $gt $gte
+// $lt $lte $in $nin $exists $type $regex $size $all $elemMatch $and $or
+// $nor $not.
+
+const COMBINATORS = new Set(["$and", "$or", "$nor", "$not"]);
+const OPERATORS = new Set([
+  "$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$exists", "$type",
+  "$regex", "$size", "$all", "$elemMatch",
+]);
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function getField(doc, path) {
+  return path.split(".").reduce((value, key) => (isObject(value) ? value[key] : undefined), doc);
+}
+
+function compare(a, b) {
+  if (typeOf(a) !== typeOf(b) || (typeof a !== "number" && typeof a !== "string")) return NaN;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function checkCondition(operator, value, arg) {
+  switch (operator) {
+    case "$eq": return equal(value, arg);
+    case "$ne": return !equal(value, arg);
+    case "$gt": return compare(value, arg) > 0;
+    case "$gte": return compare(value, arg) >= 0;
+    case "$lt": return compare(value, arg) < 0;
+    case "$lte": return compare(value, arg) <= 0;
+    case "$in": return arg.some(item => equal(value, item));
+    case "$nin": return !arg.some(item => equal(value, item));
+    case "$exists": return (value !== undefined) === arg;
+    case "$type": return typeOf(value) === arg;
+    case "$regex": return typeof value === "string" && new RegExp(arg).test(value);
+    case "$size": return Array.isArray(value) && value.length === arg;
+    case "$all": return Array.isArray(value) && arg.every(item => value.some(v => equal(v, item)));
+    case "$elemMatch": return Array.isArray(value) && value.some(item => matchValue(item, arg));
+  }
+  return false;
+}
+
+// A condition on one field: a literal (implicit $eq) or an operator object.
+function matchValue(value, condition) {
+  if (!isObject(condition) || !Object.keys(condition).some(key => key.startsWith("$"))) {
+    return isObject(condition) ? matchesSelector(value, condition) : equal(value, condition);
+  }
+  return Object.entries(condition).every(([operator, arg]) => {
+    if (operator === "$not") return !matchValue(value, arg);
+    return checkCondition(operator, value, arg);
+  });
+}
+
+/**
+ * Tests a document against a selector.
+ * @param {object} doc
+ * @param {object} selector
+ * @returns {boolean}
+ */
+export function matchesSelector(doc, selector) {
+  return Object.entries(selector).every(([key, condition]) => {
+    switch (key) {
+      case "$and": return condition.every(part => matchesSelector(doc, part));
+      case "$or": return condition.some(part => matchesSelector(doc, part));
+      case "$nor": return !condition.some(part => matchesSelector(doc, part));
+      case "$not": return !matchesSelector(doc, condition);
+    }
+    return matchValue(getField(doc, key), condition);
+  });
+}
+
+/**
+ * Checks that a selector only uses supported operators.
+ * @param {any} selector
+ * @param {string} [where] - Prefix for error messages.
+ * @returns {string[]} Problems; empty when the selector is usable.
+ */
+export function validateSelector(selector, where = "selector") {
+  if (!isObject(selector)) return [`${where} must be an object`];
+  const problems = [];
+  const visit = (node, path) => {
+    if (Array.isArray(node)) {
+      node.forEach((item, i) => visit(item, `${path}[${i}]`));
+      return;
+    }
+    if (!isObject(node)) return;
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith("$") && !OPERATORS.has(key) && !COMBINATORS.has(key)) {
+        problems.push(`${path} uses unsupported operator ${key}`);
+      }
+      if (["$and", "$or", "$nor", "$in", "$nin", "$all"].includes(key) && !Array.isArray(value)) {
+        problems.push(`${path}.${key} must be an array`);
+      }
+      if (key === "$regex") {
+        try {
+          new RegExp(value);
+        } catch {
+          problems.push(`${path}.$regex is not a valid regular expression`);
+        }
+      }
+      visit(value, `${path}.${key}`);
+    }
+  };
+  visit(selector, where);
+  return problems;
+}
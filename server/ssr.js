@@ -0,0 +1,217 @@
+// server/ssr.js
+// Renders Juris Object DOM layouts to HTML strings, so pages arrive with
+// content that the client then hydrates in place.
+
+const VOID_ELEMENTS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+// Same list as the Juris DOM renderer: present when truthy, omitted otherwise.
+const BOOLEAN_ATTRS = new Set([
+  "disabled", "checked", "selected", "readonly", "multiple", "autofocus", "autoplay", "controls",
+  "hidden", "loop", "open", "required", "reversed", "itemScope",
+]);
+
+const ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ESCAPES[char]);
+}
+
+function isPromiseLike(value) {
+  return value != null && typeof value.then === "function";
+}
+
+function kebabCase(name) {
+  return name.replace(/([A-Z])/g, "-$1").toLowerCase();
+}
+
+function getPath(target, path) {
+  return path.split(".").filter(Boolean).reduce((node, key) => (node == null ? undefined : node[key]), target);
+}
+
+function setPath(target, path, value) {
+  const keys = path.split(".").filter(Boolean);
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    if (node[key] == null || typeof node[key] !== "object") node[key] = {};
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+function createContext(states, services) {
+  const local = {};
+  let localIds = 0;
+  const getState = (path, defaultValue) => {
+    const value = getPath(states, path);
+    return value === undefined ? defaultValue : value;
+  };
+  const setState = (path, value) => setPath(states, path, value);
+  return {
+    getState,
+    setState,
+    // Component-local state lives for one render and is never serialized.
+    newState(key, initialValue) {
+      const path = `${localIds++}.${key}`;
+      setPath(local, path, initialValue);
+      return [() => getPath(local, path), value => setPath(local, path, value)];
+    },
+    isSSR: true,
+    services,
+    ...services,
+  };
+}
+
+// Reactive functions are evaluated once and promises are awaited.
+async function resolve(value) {
+  let result = value;
+  while (typeof result === "function" || isPromiseLike(result)) {
+    result = typeof result === "function" ? result() : await result;
+  }
+  return result;
+}
+
+async function renderStyle(style) {
+  const value = await resolve(style);
+  if (!value || typeof value !== "object") return value == null ? "" : String(value);
+  const rules = [];
+  for (const [prop, raw] of Object.entries(value)) {
+    const resolved = await resolve(raw);
+    if (resolved != null && resolved !== "") rules.push(`${kebabCase(prop)}: ${resolved}`);
+  }
+  return rules.join("; ");
+}
+
+function attributeName(key) {
+  if (key === "className") return "class";
+  if (key === "htmlFor") return "for";
+  return key;
+}
+
+/**
+ * Renders an Object DOM tree to an HTML string.
+ * Components run with a server context (isSSR is true), reactive functions
+ * are evaluated once, async props and children are awaited, and event
+ * handlers are left for the client to attach.
+ * @param {*} vnode - Layout, element, text or array, or a function that
+ *   takes the render context and returns one (e.g. a layout factory).
+ * @param {object} [options]
+ * @param {object} [options.components] - Component functions by name.
+ * @param {object} [options.states] - State to render with; setState calls update it.
+ * @param {object} [options.services] - Services exposed to components.
+ * @returns {Promise<string>}
+ */
+export async function renderToString(vnode, { components = {}, states = {}, services = {} } = {}) {
+  const context = createContext(states, services);
+
+  async function renderNode(node, stack) {
+    node = await resolve(node);
+    if (node == null || typeof node === "boolean") return "";
+    if (typeof node === "string" || typeof node === "number") return escapeHtml(node);
+    if (Array.isArray(node)) {
+      const parts = [];
+      for (const child of node) {
+        // Leading {config: {staticMode}} markers only change how the client renders
+        if (child?.config?.staticMode) continue;
+        parts.push(await renderNode(child, stack));
+      }
+      return parts.join("");
+    }
+    if (typeof node !== "object") return "";
+
+    const tagName = Object.keys(node)[0];
+    const props = node[tagName] || {};
+    if (components[tagName]) return renderComponent(tagName, props, stack);
+    if (/^[A-Z]/.test(tagName)) {
+      console.warn(`SSR: unknown component ${tagName}`);
+      return "";
+    }
+    return renderElement(tagName, props, stack);
+  }
+
+  async function renderComponent(name, props, stack) {
+    if (stack.includes(name)) throw new Error(`Recursive component ${stack.concat(name).join(" > ")}`);
+    const resolvedProps = {};
+    for (const [key, value] of Object.entries(props)) {
+      resolvedProps[key] = isPromiseLike(value) ? await value : value;
+    }
+    const result = await components[name](resolvedProps, context);
+    const inner = stack.concat(name);
+    if (result && typeof result.render === "function") {
+      const hasHooks = result.hooks || result.onMount || result.onUpdate || result.onUnmount;
+      const markup = await renderNode(await result.render(), inner);
+      // Juris wraps render()-only components in a container div
+      return hasHooks ? markup : `<div data-juris-reactive-render="${escapeHtml(name)}">${markup}</div>`;
+    }
+    return renderNode(result, inner);
+  }
+
+  async function renderElement(tagName, props, stack) {
+    let attributes = "";
+    let content = "";
+    for (const [key, value] of Object.entries(props)) {
+      if (key === "key" || /^on/.test(key)) continue;
+      if (key === "children") {
+        content = await renderNode(value, stack);
+      } else if (key === "text") {
+        const text = await resolve(value);
+        content = text == null ? "" : escapeHtml(text);
+      } else if (key === "innerHTML") {
+        const html = await resolve(value);
+        content = html == null ? "" : String(html);
+        // Tells the client to leave this element's content to innerHTML
+        attributes += " data-juris-html";
+      } else if (key === "style") {
+        const style = await renderStyle(value);
+        if (style) attributes += ` style="${escapeHtml(style)}"`;
+      } else {
+        const resolved = await resolve(value);
+        const name = attributeName(key);
+        if (BOOLEAN_ATTRS.has(key)) {
+          if (resolved && resolved !== "false") attributes += ` ${name}`;
+        } else if (resolved != null && resolved !== false) {
+          attributes += ` ${name}="${escapeHtml(resolved)}"`;
+        }
+      }
+    }
+    if (VOID_ELEMENTS.has(tagName.toLowerCase())) return `<${tagName}${attributes}>`;
+    return `<${tagName}${attributes}>${content}</${tagName}>`;
+  }
+
+  return renderNode(typeof vnode === "function" ? vnode(context) : vnode, []);
+}
+
+/**
+ * Serializes state for an inline script. Escapes "<" and the JavaScript line
+ * separators so the JSON cannot close the script tag or break parsing.
+ * @param {object} states
+ * @returns {string}
+ */
+export function serializeState(states) {
+  return JSON.stringify(states)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Puts prerendered markup into a page's app container, followed by the
+ * state the client should hydrate with (window.__JURIS_STATE__). A page the
+ * build already prerendered has its markup and state replaced.
+ * @param {string} html - The page.
+ * @param {string} markup - Output of renderToString.
+ * @param {object} states
+ * @param {string} [containerId] - Id of the element to fill.
+ * @returns {string|null} The page, or null when the container was not found.
+ */
+export function injectApp(html, markup, states, containerId = "app") {
+  const script = `<script>window.__JURIS_STATE__ = ${serializeState(states)};</script>`;
+  const filled = () => `<div id="${containerId}">${markup}</div>\n    ${script}`;
+  const container = `<div id="${containerId}"></div>`;
+  if (html.includes(container)) return html.replace(container, filled);
+  // The state script always follows the container, which marks where it ends
+  const prerendered = new RegExp(`<div id="${containerId}">[\\s\\S]*?</div>\\s*<script>window\\.__JURIS_STATE__ = .*?;</script>`);
+  return prerendered.test(html) ? html.replace(prerendered, filled) : null;
+}
@@ -0,0 +1,242 @@
+// server/static.js
+// Static file responses: content types, strong ETags, conditional requests,
+// byte ranges, compression and cache lifetimes.
+
+import { resolve, sep } from "node:path";
+import { brotliCompressSync, constants as zlib } from "node:zlib";
+
+const CONTENT_TYPES = {
+  ".html": "text/html;charset=utf-8",
+  ".js": "text/javascript;charset=utf-8",
+  ".mjs": "text/javascript;charset=utf-8",
+  ".css": "text/css;charset=utf-8",
+  ".json": "application/json;charset=utf-8",
+  ".webmanifest": "application/manifest+json;charset=utf-8",
+  ".map": "application/json;charset=utf-8",
+  ".txt": "text/plain;charset=utf-8",
+  ".md": "text/markdown;charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".ico": "image/x-icon",
+  ".woff2": "font/woff2",
+  ".wasm": "application/wasm",
+};
+
+const COMPRESSIBLE = new Set([".html", ".js", ".mjs", ".css", ".json", ".webmanifest", ".map", ".txt", ".md", ".svg"]);
+const MIN_COMPRESS_BYTES = 1024;
+
+// Build output names fingerprinted files like app.3f2a9c1b.js
+const FINGERPRINTED = /\.[0-9a-f]{8,}\.[a-z0-9]+$/i;
+
+function extname(path) {
+  const dot = path.lastIndexOf(".");
+  return dot > path.lastIndexOf("/") ? path.slice(dot).toLowerCase() : "";
+}
+
+// Hidden files stay private, apart from the well-known URIs (RFC 8615)
+function hidden(segment) {
+  return segment.startsWith(".") && segment !== ".well-known";
+}
+
+function cacheControl(path) {
+  if (FINGERPRINTED.test(path)) return "public, max-age=31536000, immutable";
+  if (path.endsWith(".html") || path.endsWith("/sw.js")) return "no-cache";
+  return "public, max-age=3600";
+}
+
+function pickEncoding(req, ext) {
+  if (!COMPRESSIBLE.has(ext)) return null;
+  const accepted = (req.headers.get("accept-encoding") || "").toLowerCase();
+  if (/\bbr\b/.test(accepted)) return "br";
+  if (/\bgzip\b/.test(accepted)) return "gzip";
+  return null;
+}
+
+// Compressed responses carry the file's ETag with an encoding suffix;
+// both forms refer to the same file version.
+function sameVersion(tag, etag) {
+  return tag.trim().replace(/^W\//, "").replace(/-(br|gzip)"$/, '"') === etag;
+}
+
+function etagMatches(header, etag) {
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  return header.split(",").some(tag => sameVersion(tag, etag));
+}
+
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end;
+  if (!match[1]) {
+    start = Math.max(0, size - parseInt(match[2], 10));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+  }
+  if (start > end || start >= size) return "unsatisfiable";
+  return { start, end };
+}
+
+/**
+ * Creates the static file handler for a directory.
+ * @param {object} options
+ * @param {string} options.rootDir - Directory to serve.
+ * @param {boolean} [options.dev] - Disable caching and compression.
+ * @param {function(string, string): string} [options.transformHtml] - Rewrites HTML pages (and their path below rootDir) before they are sent.
+ * @returns {{serve: function(Request, string): Promise<Response|null>, notFound: function(Request): Promise<Response>}}
+ */
+export function createStaticHandler({ rootDir, dev = false, transformHtml }) {
+  const root = resolve(rootDir);
+  // file -> { mtime, size, etag, bytes, variants: { br, gzip } }
+  const entries = new Map();
+
+  // Maps a URL path to a file inside root. Returns null for anything that
+  // could escape it (encoded "..", backslashes, NUL) or names a hidden file,
+  // and undefined when the percent-encoding is malformed.
+  function locate(path) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(path);
+    } catch {
+      return undefined;
+    }
+    if (decoded.includes("\0") || decoded.includes("\\")) return null;
+    if (decoded.split("/").some(segment => segment === ".." || hidden(segment))) return null;
+    const file = resolve(root, `.${decoded}`);
+    return file.startsWith(root + sep) ? file : null;
+  }
+
+  async function load(path, file) {
+    const cached = entries.get(path);
+    if (cached && cached.mtime === file.lastModified && cached.size === file.size) return cached;
+
+    let bytes = new Uint8Array(await file.arrayBuffer());
+    if (transformHtml && path.endsWith(".html")) {
+      const page = path.slice(root.length + 1).split(sep).join("/");
+      bytes = new TextEncoder().encode(transformHtml(new TextDecoder().decode(bytes), page));
+    }
+    const entry = {
+      mtime: file.lastModified,
+      size: file.size,
+      etag: `"${new Bun.CryptoHasher("sha1").update(bytes).digest("base64url")}"`,
+      bytes,
+      variants: {},
+    };
+    entries.set(path, entry);
+    return entry;
+  }
+
+  // Prefers files the build precompressed (app.js.br), else compresses once
+  // and keeps the result until the file changes.
+  async function variant(entry, path, encoding) {
+    if (entry.variants[encoding] !== undefined) return entry.variants[encoding];
+    const precompressed = Bun.file(`${path}${encoding === "br" ? ".br" : ".gz"}`);
+    let bytes;
+    if (await precompressed.exists() && precompressed.lastModified >= entry.mtime) {
+      bytes = new Uint8Array(await precompressed.arrayBuffer());
+    } else if (entry.bytes.length >= MIN_COMPRESS_BYTES) {
+      bytes = encoding === "br"
+        ? new Uint8Array(brotliCompressSync(entry.bytes, { params: { [zlib.BROTLI_PARAM_QUALITY]: 9 } }))
+        : Bun.gzipSync(entry.bytes);
+    }
+    entry.variants[encoding] = bytes && bytes.length < entry.bytes.length ? bytes : null;
+    return entry.variants[encoding];
+  }
+
+  return {
+    /**
+     * Serves a file below rootDir.
+     * @param {Request} req
+     * @param {string} path - URL path, starting with "/".
+     * @returns {Promise<Response|null>} Null when the file does not exist.
+     */
+    async serve(req, path) {
+      const location = locate(path);
+      if (location === undefined) return new Response("Bad request", { status: 400 });
+      if (location === null) return null;
+      const file = Bun.file(location);
+      if (!(await file.exists())) return null;
+
+      const ext = extname(location);
+      const entry = await load(location, file);
+      const headers = new Headers({
+        "Content-Type": CONTENT_TYPES[ext] || file.type,
+        "Last-Modified": new Date(entry.mtime).toUTCString(),
+        "Accept-Ranges": "bytes",
+        "Vary": "Accept-Encoding",
+        "Cache-Control": dev ? "no-store" : cacheControl(location),
+      });
+
+      const ifNoneMatch = req.headers.get("if-none-match");
+      const ifModifiedSince = req.headers.get("if-modified-since");
+      const notModified = ifNoneMatch
+        ? etagMatches(ifNoneMatch, entry.etag)
+        : ifModifiedSince && Math.floor(entry.mtime / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+      if (notModified && !dev) {
+        headers.set("ETag", entry.etag);
+        return new Response(null, { status: 304, headers });
+      }
+
+      // Byte ranges are served from the uncompressed file.
+      const rangeHeader = req.headers.get("range");
+      const ifRange = req.headers.get("if-range");
+      if (rangeHeader && (!ifRange || sameVersion(ifRange, entry.etag))) {
+        const range = parseRange(rangeHeader, entry.bytes.length);
+        if (range === "unsatisfiable") {
+          headers.set("Content-Range", `bytes */${entry.bytes.length}`);
+          return new Response(null, { status: 416, headers });
+        }
+        if (range) {
+          headers.set("ETag", entry.etag);
+          headers.set("Content-Range", `bytes ${range.start}-${range.end}/${entry.bytes.length}`);
+          const body = entry.bytes.subarray(range.start, range.end + 1);
+          return new Response(req.method === "HEAD" ? null : body, { status: 206, headers });
+        }
+      }
+
+      let body = entry.bytes;
+      const encoding = dev ? null : pickEncoding(req, ext);
+      const compressed = encoding && await variant(entry, location, encoding);
+      if (compressed) {
+        body = compressed;
+        headers.set("Content-Encoding", encoding);
+        // Strong ETags must differ per representation
+        headers.set("ETag", `${entry.etag.slice(0, -1)}-${encoding}"`);
+      } else {
+        headers.set("ETag", entry.etag);
+      }
+
+      headers.set("Content-Length", String(body.length));
+      return new Response(req.method === "HEAD" ? null : body, { headers });
+    },
+
+    /**
+     * The response for a path nothing else answered: 404.html from rootDir
+     * for clients that accept HTML and when there is one, plain text otherwise.
+     * @param {Request} req
+     * @returns {Promise<Response>}
+     */
+    async notFound(req) {
+      const file = Bun.file(`${root}/404.html`);
+      const wantsHtml = (req.headers.get("accept") || "").includes("text/html");
+      if ((req.method === "GET" || req.method === "HEAD") && wantsHtml && await file.exists()) {
+        const entry = await load(`${root}/404.html`, file);
+        return new Response(req.method === "HEAD" ? null : entry.bytes, {
+          status: 404,
+          headers: {
+            "Content-Type": CONTENT_TYPES[".html"],
+            "Cache-Control": "no-store",
+          },
+        });
+      }
+      return new Response("Not found", { status: 404 });
+    },
+  };
+}
@@ -0,0 +1,154 @@
+// server/tar.js
+// Just enough of the ustar format to write and read backup archives:
+// regular files, with pax headers for paths longer than 100 bytes.
+
+const BLOCK = 512;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function writeString(block, offset, length, value) {
+  block.set(encoder.encode(value).subarray(0, length), offset);
+}
+
+function writeOctal(block, offset, length, value) {
+  writeString(block, offset, length, value.toString(8).padStart(length - 1, "0") + "\0");
+}
+
+function header(name, size, type, mtime) {
+  const block = new Uint8Array(BLOCK);
+  writeString(block, 0, 100, name);
+  writeOctal(block, 100, 8, 0o644);
+  writeOctal(block, 108, 8, 0);
+  writeOctal(block, 116, 8, 0);
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, mtime);
+  block.fill(0x20, 148, 156);
+  writeString(block, 156, 1, type);
+  writeString(block, 257, 6, "ustar\0");
+  writeString(block, 263, 2, "00");
+  const checksum = block.reduce((sum, byte) => sum + byte, 0);
+  writeString(block, 148, 8, checksum.toString(8).padStart(6, "0") + "\0 ");
+  return block;
+}
+
+function padding(size) {
+  const rest = size % BLOCK;
+  return rest ? new Uint8Array(BLOCK - rest) : new Uint8Array(0);
+}
+
+// A pax record is "<length> path=<value>\n", where length counts itself.
+function paxRecord(key, value) {
+  const body = ` ${key}=${value}\n`;
+  const size = Buffer.byteLength(body);
+  let length = size + 1;
+  while (String(length).length + size !== length) length = String(length).length + size;
+  return `${length}${body}`;
+}
+
+/**
+ * Encodes one file as tar blocks.
+ * @param {string} path
+ * @param {Uint8Array|string} data
+ * @param {Date} [mtime]
+ * @returns {Uint8Array[]} Chunks to write, in order.
+ */
+export function tarEntry(path, data, mtime = new Date()) {
+  const bytes = typeof data === "string" ? encoder.encode(data) : data;
+  const seconds = Math.floor(mtime.getTime() / 1000);
+  const chunks = [];
+  let name = path;
+  if (Buffer.byteLength(path) > 100) {
+    const pax = encoder.encode(paxRecord("path", path));
+    chunks.push(header("PaxHeader", pax.length, "x", seconds), pax, padding(pax.length));
+    name = path.slice(0, 100);
+  }
+  chunks.push(header(name, bytes.length, "0", seconds), bytes, padding(bytes.length));
+  return chunks;
+}
+
+/**
+ * The two empty blocks that end an archive.
+ * @returns {Uint8Array}
+ */
+export function tarEnd() {
+  return new Uint8Array(BLOCK * 2);
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return decoder.decode(block.subarray(offset, end === -1 || end > offset + length ? offset + length : end));
+}
+
+function parsePax(data) {
+  const fields = {};
+  for (const line of decoder.decode(data).split("\n")) {
+    const match = /^\d+ ([^=]+)=(.*)$/.exec(line);
+    if (match) fields[match[1]] = match[2];
+  }
+  return fields;
+}
+
+/**
+ * Reads regular files from a tar stream as they arrive.
+ * @param {ReadableStream<Uint8Array>} stream
+ * @returns {AsyncGenerator<{path: string, data: Uint8Array}>}
+ */
+export async function* readTar(stream) {
+  const reader = stream.getReader();
+  let chunks = [];
+  let buffered = 0;
+
+  // Resolves once at least `size` bytes are buffered; false at end of stream.
+  async function fill(size) {
+    while (buffered < size) {
+      const { done, value } = await reader.read();
+      if (done) return false;
+      chunks.push(value);
+      buffered += value.length;
+    }
+    return true;
+  }
+
+  function take(size) {
+    if (size === 0) return new Uint8Array(0);
+    let joined = chunks[0];
+    if (chunks.length > 1) {
+      joined = new Uint8Array(buffered);
+      let offset = 0;
+      for (const chunk of chunks) {
+        joined.set(chunk, offset);
+        offset += chunk.length;
+      }
+    }
+    chunks = buffered > size ? [joined.subarray(size)] : [];
+    buffered -= size;
+    return joined.subarray(0, size);
+  }
+
+  let longPath = null;
+  try {
+    while (await fill(BLOCK)) {
+      const block = take(BLOCK);
+      if (block.every(byte => byte === 0)) return;
+      if (readString(block, 257, 5) !== "ustar") throw new Error("Not a ustar archive");
+      const size = parseInt(readString(block, 124, 12).trim() || "0", 8);
+      const type = readString(block, 156, 1) || "0";
+      const padded = Math.ceil(size / BLOCK) * BLOCK;
+      if (!(await fill(padded))) throw new Error("Archive ends in the middle of a file");
+      const data = take(padded).slice(0, size);
+
+      if (type === "x") {
+        longPath = parsePax(data).path ?? null;
+        continue;
+      }
+      const prefix = readString(block, 345, 155);
+      const name = readString(block, 0, 100);
+      const path = longPath ?? (prefix ? `${prefix}/${name}` : name);
+      longPath = null;
+      if (type === "0") yield { path, data };
+    }
+    throw new Error("Archive ends without an end-of-archive marker");
+  } finally {
+    reader.releaseLock();
+  }
+}
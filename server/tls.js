@@ -0,0 +1,294 @@
+// server/tls.js
+// HTTPS for the server: either a certificate and key from files, or a
+// generated development certificate for reaching the server by LAN address.
+//
+// The generated setup is a small local certificate authority plus a server
+// certificate it signs. Browsers only register service workers over HTTPS
+// they trust, so install the authority once on each device (it is served at
+// /tls/ca.crt); the server certificate is re-issued whenever the machine's
+// addresses change or it nears expiry, without needing a new install.
+// Certificates are written by hand in DER, as Bun has no API to create them.
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { X509Certificate, createPrivateKey } from "node:crypto";
+import { hostname, networkInterfaces } from "node:os";
+import { join } from "node:path";
+
+export const CA_PATH = "/tls/ca.crt";
+
+const CA_DAYS = 3650;
+// Apple devices reject server certificates valid for more than 825 days
+const CERT_DAYS = 365;
+const RENEW_DAYS = 14;
+const DAY_MS = 86400000;
+
+// -- DER encoding -------------------------------------------------------------
+
+function concat(parts) {
+  const bytes = parts.map(part => (part instanceof Uint8Array ? part : new Uint8Array(part)));
+  const out = new Uint8Array(bytes.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of bytes) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function der(tag, ...parts) {
+  const content = concat(parts);
+  const length = content.length;
+  let header;
+  if (length < 0x80) header = [tag, length];
+  else if (length < 0x100) header = [tag, 0x81, length];
+  else header = [tag, 0x82, length >> 8, length & 0xff];
+  return concat([header, content]);
+}
+
+const sequence = (...parts) => der(0x30, ...parts);
+const set = (...parts) => der(0x31, ...parts);
+const explicit = (n, ...parts) => der(0xa0 + n, ...parts);
+const octetString = (bytes) => der(0x04, bytes);
+const bitString = (bytes, unusedBits = 0) => der(0x03, [unusedBits], bytes);
+const utf8String = (text) => der(0x0c, new TextEncoder().encode(text));
+const boolean = (value) => der(0x01, [value ? 0xff : 0]);
+
+function integer(bytes) {
+  let start = 0;
+  while (start < bytes.length - 1 && bytes[start] === 0) start++;
+  const trimmed = bytes.slice(start);
+  return der(0x02, trimmed[0] & 0x80 ? concat([[0], trimmed]) : trimmed);
+}
+
+function oid(dotted) {
+  const [first, second, ...rest] = dotted.split(".").map(Number);
+  const bytes = [first * 40 + second];
+  for (const value of rest) {
+    const chunk = [value & 0x7f];
+    for (let v = value >> 7; v > 0; v >>= 7) chunk.unshift((v & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return der(0x06, bytes);
+}
+
+// UTCTime until 2049, GeneralizedTime after, as X.509 requires
+function time(date) {
+  const iso = date.toISOString().replace(/[-:T]/g, "").slice(0, 14) + "Z";
+  return date.getUTCFullYear() < 2050 ? der(0x17, new TextEncoder().encode(iso.slice(2))) : der(0x18, new TextEncoder().encode(iso));
+}
+
+function name(commonName) {
+  return sequence(
+    set(sequence(oid("2.5.4.10"), utf8String("Vault development"))),
+    set(sequence(oid("2.5.4.3"), utf8String(commonName)))
+  );
+}
+
+function extension(id, critical, value) {
+  return sequence(oid(id), ...(critical ? [boolean(true)] : []), octetString(value));
+}
+
+function ipBytes(address) {
+  if (address.includes(".")) return address.split(".").map(Number);
+  const [head, tail = ""] = address.split("::");
+  const headParts = head ? head.split(":") : [];
+  const tailParts = tail ? tail.split(":") : [];
+  const groups = address.includes("::")
+    ? [...headParts, ...Array(8 - headParts.length - tailParts.length).fill("0"), ...tailParts]
+    : headParts;
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+}
+
+function subjectAltNames(hosts) {
+  return sequence(...hosts.map(host => (isIp(host)
+    ? der(0x87, ipBytes(host))
+    : der(0x82, new TextEncoder().encode(host)))));
+}
+
+// WebCrypto signs ECDSA as r || s; certificates want SEQUENCE { r, s }
+function ecdsaSignature(raw) {
+  const half = raw.length / 2;
+  return sequence(integer(raw.slice(0, half)), integer(raw.slice(half)));
+}
+
+function pem(label, bytes) {
+  const base64 = Buffer.from(bytes).toString("base64").match(/.{1,64}/g).join("\n");
+  return `-----BEGIN ${label}-----\n${base64}\n-----END ${label}-----\n`;
+}
+
+// -- Certificates -------------------------------------------------------------
+
+const ECDSA = { name: "ECDSA", namedCurve: "P-256" };
+const ECDSA_WITH_SHA256 = sequence(oid("1.2.840.10045.4.3.2"));
+
+function isIp(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(":");
+}
+
+async function keyIdentifier(publicKey) {
+  const raw = new Uint8Array(await crypto.subtle.exportKey("raw", publicKey));
+  return new Uint8Array(await crypto.subtle.digest("SHA-1", raw));
+}
+
+async function issue({ subject, publicKey, issuer, issuerKey, days, extensions }) {
+  const now = Date.now();
+  const serial = crypto.getRandomValues(new Uint8Array(16));
+  serial[0] &= 0x7f;
+  const tbs = sequence(
+    explicit(0, integer(new Uint8Array([2]))),
+    integer(serial),
+    ECDSA_WITH_SHA256,
+    name(issuer),
+    sequence(time(new Date(now - DAY_MS)), time(new Date(now + days * DAY_MS))),
+    name(subject),
+    new Uint8Array(await crypto.subtle.exportKey("spki", publicKey)),
+    explicit(3, sequence(...extensions))
+  );
+  const signature = new Uint8Array(await crypto.subtle.sign({ name: "ECDSA", hash: "SHA-256" }, issuerKey, tbs));
+  return pem("CERTIFICATE", sequence(tbs, ECDSA_WITH_SHA256, bitString(ecdsaSignature(signature))));
+}
+
+async function createAuthority() {
+  const keys = await crypto.subtle.generateKey(ECDSA, true, ["sign", "verify"]);
+  const keyId = await keyIdentifier(keys.publicKey);
+  const subject = `Vault development CA (${hostname()})`;
+  const cert = await issue({
+    subject,
+    publicKey: keys.publicKey,
+    issuer: subject,
+    issuerKey: keys.privateKey,
+    days: CA_DAYS,
+    extensions: [
+      extension("2.5.29.19", true, sequence(boolean(true))),
+      // keyCertSign and cRLSign
+      extension("2.5.29.15", true, bitString([0x06], 1)),
+      extension("2.5.29.14", false, octetString(keyId)),
+    ],
+  });
+  const key = pem("PRIVATE KEY", new Uint8Array(await crypto.subtle.exportKey("pkcs8", keys.privateKey)));
+  return { cert, key };
+}
+
+async function createServerCert(authority, hosts) {
+  const caKey = await crypto.subtle.importKey("pkcs8", pemBytes(authority.key), ECDSA, false, ["sign"]);
+  const caCert = new X509Certificate(authority.cert);
+  const caPublicKey = await crypto.subtle.importKey("spki", caCert.publicKey.export({ type: "spki", format: "der" }), ECDSA, true, ["verify"]);
+  const keys = await crypto.subtle.generateKey(ECDSA, true, ["sign", "verify"]);
+  const cert = await issue({
+    subject: hosts[0],
+    publicKey: keys.publicKey,
+    issuer: caCert.subject.split("\n").find(line => line.startsWith("CN=")).slice(3),
+    issuerKey: caKey,
+    days: CERT_DAYS,
+    extensions: [
+      extension("2.5.29.19", true, sequence()),
+      // digitalSignature
+      extension("2.5.29.15", true, bitString([0x80], 7)),
+      // serverAuth
+      extension("2.5.29.37", false, sequence(oid("1.3.6.1.5.5.7.3.1"))),
+      extension("2.5.29.17", false, subjectAltNames(hosts)),
+      extension("2.5.29.14", false, octetString(await keyIdentifier(keys.publicKey))),
+      extension("2.5.29.35", false, sequence(der(0x80, await keyIdentifier(caPublicKey)))),
+    ],
+  });
+  const key = pem("PRIVATE KEY", new Uint8Array(await crypto.subtle.exportKey("pkcs8", keys.privateKey)));
+  return { cert, key };
+}
+
+function pemBytes(text) {
+  return Buffer.from(text.replace(/-----[^-]+-----|\s/g, ""), "base64");
+}
+
+/**
+ * Names the generated certificate covers: localhost, this machine's host
+ * name and every address it can be reached on, plus any extras.
+ * @param {string[]} [extra]
+ * @returns {string[]}
+ */
+export function localHosts(extra = []) {
+  const hosts = new Set(["localhost", hostname(), `${hostname()}.local`, "127.0.0.1", "::1", ...extra]);
+  for (const addresses of Object.values(networkInterfaces())) {
+    for (const { address, internal } of addresses || []) {
+      // Link-local IPv6 addresses carry a zone and are not used in URLs
+      if (!internal && !address.startsWith("fe80:")) hosts.add(address);
+    }
+  }
+  return [...hosts];
+}
+
+async function readOptional(path) {
+  try {
+    return await readFile(path, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function needsRenewal(certPem, hosts, authorityPem) {
+  if (!certPem) return "missing";
+  const cert = new X509Certificate(certPem);
+  if (new Date(cert.validTo).getTime() - Date.now() < RENEW_DAYS * DAY_MS) return "expiring";
+  if (!cert.checkIssued(new X509Certificate(authorityPem))) return "issued by another authority";
+  const missing = hosts.filter(host => !(isIp(host) ? cert.checkIP(host) : cert.checkHost(host)));
+  return missing.length ? `new address ${missing.join(", ")}` : null;
+}
+
+/**
+ * Loads or creates the development certificate authority and a server
+ * certificate for the given hosts, kept in `dir`.
+ * @param {object} options
+ * @param {string} options.dir - Directory for the PEM files.
+ * @param {string[]} options.hosts - Names and addresses to cover.
+ * @returns {Promise<{cert: string, key: string, ca: string}>}
+ */
+export async function developmentCertificate({ dir, hosts }) {
+  await mkdir(dir, { recursive: true, mode: 0o700 });
+  const paths = {
+    caCert: join(dir, "ca-cert.pem"),
+    caKey: join(dir, "ca-key.pem"),
+    cert: join(dir, "cert.pem"),
+    key: join(dir, "key.pem"),
+  };
+
+  let authority = { cert: await readOptional(paths.caCert), key: await readOptional(paths.caKey) };
+  if (!authority.cert || !authority.key || new Date(new X509Certificate(authority.cert).validTo).getTime() < Date.now()) {
+    authority = await createAuthority();
+    await writeFile(paths.caKey, authority.key, { mode: 0o600 });
+    await writeFile(paths.caCert, authority.cert);
+    console.log(`[${new Date().toISOString()}] Created development CA ${paths.caCert}; install it on your devices (${CA_PATH})`);
+  }
+
+  let server = { cert: await readOptional(paths.cert), key: await readOptional(paths.key) };
+  const reason = server.key ? needsRenewal(server.cert, hosts, authority.cert) : "missing";
+  if (reason) {
+    server = await createServerCert(authority, hosts);
+    await writeFile(paths.key, server.key, { mode: 0o600 });
+    await writeFile(paths.cert, server.cert);
+    console.log(`[${new Date().toISOString()}] Issued development certificate (${reason}) for ${hosts.join(", ")}`);
+  }
+  return { cert: server.cert, key: server.key, ca: authority.cert };
+}
+
+/**
+ * Reads a certificate and key from files and checks that they belong
+ * together, so a mix-up fails at startup rather than on the first request.
+ * @param {string} certFile
+ * @param {string} keyFile
+ * @returns {Promise<{cert: string, key: string}>}
+ */
+export async function loadCertificate(certFile, keyFile) {
+  if (!certFile || !keyFile) throw new Error("TLS_CERT and TLS_KEY must both be set");
+  const [cert, key] = await Promise.all([readFile(certFile, "utf-8"), readFile(keyFile, "utf-8")]);
+  const x509 = new X509Certificate(cert);
+  if (!x509.checkPrivateKey(createPrivateKey(key))) throw new Error(`${keyFile} is not the key for ${certFile}`);
+  const expires = new Date(x509.validTo);
+  if (expires.getTime() < Date.now()) throw new Error(`${certFile} expired on ${expires.toISOString()}`);
+  if (expires.getTime() - Date.now() < RENEW_DAYS * DAY_MS) {
+    console.warn(`[${new Date().toISOString()}] TLS certificate ${certFile} expires on ${expires.toISOString()}`);
+  }
+  return { cert, key };
+}
@@ -0,0 +1,47 @@
+// server/vendor.js
+// Third-party browser scripts served from our own origin instead of a CDN.
+// Pages load them from /vendor/<name>; build.js copies them into dist/vendor
+// and the dev server serves them straight from node_modules. Their versions
+// are pinned exactly in package.json.
+
+import { readFile } from "node:fs/promises";
+import { createRequire } from "node:module";
+import { dirname, join } from "node:path";
+
+const require = createRequire(import.meta.url);
+const PACKAGE_FILE = join(import.meta.dir, "..", "package.json");
+
+export const VENDOR_PREFIX = "/vendor/";
+
+// File name below /vendor/ -> npm package and the file inside it
+export const VENDOR_SCRIPTS = {
+  "pouchdb.min.js": { package: "pouchdb", file: "dist/pouchdb.min.js" },
+};
+
+/**
+ * Finds a vendored script in node_modules.
+ * @param {string} name - File name below /vendor/.
+ * @returns {Promise<string|null>} Absolute path, or null for names not listed in VENDOR_SCRIPTS.
+ * @throws {Error} When the package is missing or not the version package.json pins.
+ */
+export async function vendorFile(name) {
+  const script = Object.hasOwn(VENDOR_SCRIPTS, name) ? VENDOR_SCRIPTS[name] : null;
+  if (!script) return null;
+
+  const { dependencies = {} } = JSON.parse(await readFile(PACKAGE_FILE, "utf-8"));
+  const pinned = dependencies[script.package];
+  if (!/^\d+\.\d+\.\d+$/.test(pinned || "")) {
+    throw new Error(`package.json must pin ${script.package} to an exact version`);
+  }
+  let manifest;
+  try {
+    manifest = require.resolve(`${script.package}/package.json`);
+  } catch {
+    throw new Error(`${script.package} is not installed; run bun install`);
+  }
+  const { version } = JSON.parse(await readFile(manifest, "utf-8"));
+  if (version !== pinned) {
+    throw new Error(`${script.package} ${version} is installed but package.json pins ${pinned}; run bun install`);
+  }
+  return join(dirname(manifest), script.file);
+}
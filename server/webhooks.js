@@ -0,0 +1,254 @@
+// server/webhooks.js
+// Outbound webhooks: follows CouchDB's _changes feed and POSTs matching
+// documents to configured URLs (n8n workflows and the like).
+//
+// webhooks.json:
+//   {
+//     "since": "now",                      where to start without a checkpoint ("now" or "0")
+//     "retry": { "attempts": 6, "baseMs": 1000, "maxMs": 60000, "timeoutMs": 10000 },
+//     "rules": [{
+//       "name": "captures",
+//       "url": "http://n8n:5678/webhook/capture",
+//       "database": "vault-tim",            the user database to follow
+//       "types": ["block_document"],        optional: match on doc.type
+//       "selector": { "tags": { "$all": ["inbox"] } },  optional Mango subset
+//       "deleted": false,                   also send deletions (default false)
+//       "headers": { "X-Api-Key": "..." },  optional
+//       "secret": "..."                     optional: signs the body (X-Vault-Signature)
+//     }]
+//   }
+//
+// Changes are delivered in order, one database feed each. The checkpoint
+// only moves past a change once every matching rule has either been
+// delivered or given up on and written to the dead-letter log.
+
+import { appendFile, mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { matchesSelector, validateSelector } from "./selector.js";
+
+const DEFAULT_RETRY = { attempts: 6, baseMs: 1000, maxMs: 60000, timeoutMs: 10000 };
+const FEED_LIMIT = 100;
+const FEED_TIMEOUT_MS = 30000;
+
+function validateConfig(spec) {
+  const problems = [];
+  if (!spec || typeof spec !== "object" || !Array.isArray(spec.rules)) return ["needs a `rules` array"];
+  if (spec.since !== undefined && spec.since !== "now" && spec.since !== "0") problems.push('since must be "now" or "0"');
+  const names = new Set();
+  spec.rules.forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (typeof rule.name !== "string" || !rule.name) problems.push(`${where}.name must be a non-empty string`);
+    else if (names.has(rule.name)) problems.push(`${where}.name "${rule.name}" is duplicated`);
+    else names.add(rule.name);
+    try {
+      const { protocol } = new URL(rule.url);
+      if (protocol !== "http:" && protocol !== "https:") problems.push(`${where}.url must be http or https`);
+    } catch {
+      problems.push(`${where}.url must be a valid URL`);
+    }
+    if (typeof rule.database !== "string" || !rule.database) problems.push(`${where}.database must name a database, e.g. vault-<user>`);
+    if (rule.types !== undefined && (!Array.isArray(rule.types) || !rule.types.every(t => typeof t === "string"))) {
+      problems.push(`${where}.types must be an array of strings`);
+    }
+    if (rule.selector !== undefined) problems.push(...validateSelector(rule.selector, `${where}.selector`));
+  });
+  return problems;
+}
+
+/**
+ * Reads webhooks.json. A missing file disables webhooks (returns null); an
+ * invalid one throws so mistakes are noticed at startup.
+ * @param {string} file
+ * @returns {Promise<object|null>}
+ */
+export async function loadWebhookConfig(file) {
+  let spec;
+  try {
+    spec = JSON.parse(await readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw new Error(`Could not read webhooks ${file}: ${err.message}`);
+  }
+  const problems = validateConfig(spec);
+  if (problems.length) throw new Error(`Invalid webhooks ${file}: ${problems.join("; ")}`);
+  return spec;
+}
+
+function ruleMatches(rule, change) {
+  // Deletions carry no document body, so type and selector rules cannot see them
+  if (change.deleted) return rule.deleted === true && !rule.types && !rule.selector;
+  const doc = change.doc;
+  if (!doc || doc._id.startsWith("_design/")) return false;
+  if (rule.types && !rule.types.includes(doc.type)) return false;
+  if (rule.selector && !matchesSelector(doc, rule.selector)) return false;
+  return true;
+}
+
+/**
+ * Creates the webhook dispatcher.
+ * @param {object} options
+ * @param {object} options.couch - Client from createCouch().
+ * @param {object} options.config - Output of loadWebhookConfig().
+ * @param {string} options.checkpointFile - Where feed positions are saved.
+ * @param {string} options.deadLetterFile - JSON-lines log of deliveries that gave up.
+ * @param {object} [options.metrics] - Registry from createMetrics().
+ * @param {function} [options.fetch] - fetch() used for deliveries.
+ * @returns {{start: function(): Promise<void>, stop: function(): Promise<void>}}
+ */
+export function createWebhooks({ couch, config, checkpointFile, deadLetterFile, metrics, fetch: fetchImpl = fetch }) {
+  const retry = { ...DEFAULT_RETRY, ...config.retry };
+  const { rules } = config;
+  const databases = [...new Set(rules.map(rule => rule.database))];
+  const controller = new AbortController();
+  let checkpoints = {};
+  let saving = Promise.resolve();
+
+  const sleep = (ms) => new Promise(resolve => {
+    const timer = setTimeout(resolve, ms);
+    controller.signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+
+  async function saveCheckpoint(database, seq) {
+    checkpoints[database] = seq;
+    const snapshot = JSON.stringify(checkpoints, null, 2);
+    saving = saving.then(async () => {
+      await mkdir(dirname(checkpointFile), { recursive: true });
+      await writeFile(`${checkpointFile}.tmp`, snapshot);
+      await rename(`${checkpointFile}.tmp`, checkpointFile);
+    }).catch(err => console.error("Webhook checkpoint write failed:", err));
+    await saving;
+  }
+
+  async function deadLetter(entry) {
+    await mkdir(dirname(deadLetterFile), { recursive: true });
+    await appendFile(deadLetterFile, JSON.stringify({ time: new Date().toISOString(), ...entry }) + "\n");
+  }
+
+  async function sign(secret, body) {
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+    const signature = await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(body));
+    return `sha256=${Buffer.from(signature).toString("hex")}`;
+  }
+
+  // One POST per attempt. 2xx is delivered; 4xx other than 408/429 will not
+  // get better with retries, so it goes straight to the dead-letter log.
+  async function deliver(rule, change) {
+    const eventId = `${rule.database}:${change.id}:${change.changes?.[0]?.rev}:${rule.name}`;
+    const body = JSON.stringify({
+      event: change.deleted ? "deleted" : "changed",
+      rule: rule.name,
+      database: rule.database,
+      id: change.id,
+      rev: change.changes?.[0]?.rev,
+      seq: change.seq,
+      doc: change.deleted ? null : change.doc,
+    });
+    const headers = {
+      ...rule.headers,
+      "Content-Type": "application/json",
+      "X-Vault-Event-Id": eventId,
+      ...(rule.secret && { "X-Vault-Signature": await sign(rule.secret, body) }),
+    };
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= retry.attempts; attempt++) {
+      if (controller.signal.aborted) return false;
+      try {
+        const res = await fetchImpl(rule.url, {
+          method: "POST",
+          headers,
+          body,
+          signal: AbortSignal.any([controller.signal, AbortSignal.timeout(retry.timeoutMs)]),
+        });
+        await res.arrayBuffer().catch(() => {});
+        if (res.ok) {
+          metrics?.recordWebhook(rule.name, "delivered");
+          return true;
+        }
+        lastError = `HTTP ${res.status}`;
+        if (res.status < 500 && res.status !== 408 && res.status !== 429) break;
+      } catch (err) {
+        if (controller.signal.aborted) return false;
+        lastError = err.name === "TimeoutError" ? "timed out" : err.message;
+      }
+      if (attempt < retry.attempts) {
+        metrics?.recordWebhook(rule.name, "retried");
+        // Exponential backoff with jitter: base, 2x base, 4x base... capped
+        const delay = Math.min(retry.maxMs, retry.baseMs * 2 ** (attempt - 1));
+        await sleep(delay / 2 + Math.random() * delay / 2);
+      }
+    }
+
+    console.error(`Webhook ${rule.name} gave up on ${change.id}: ${lastError}`);
+    metrics?.recordWebhook(rule.name, "dead_lettered");
+    await deadLetter({ rule: rule.name, url: rule.url, database: rule.database, id: change.id, seq: change.seq, error: lastError, body: JSON.parse(body) });
+    return true;
+  }
+
+  async function follow(database) {
+    const databaseRules = rules.filter(rule => rule.database === database);
+    // Without a checkpoint, "now" skips history; the first reply's last_seq
+    // is saved so a restart resumes from there
+    let since = checkpoints[database] ?? (config.since === "0" ? "0" : "now");
+    console.log(`[${new Date().toISOString()}] Webhooks following ${database} from ${String(since).split("-")[0]} (${databaseRules.length} rule(s))`);
+
+    let failures = 0;
+    while (!controller.signal.aborted) {
+      let result;
+      try {
+        const params = new URLSearchParams({
+          feed: "longpoll", since, include_docs: "true", limit: String(FEED_LIMIT), timeout: String(FEED_TIMEOUT_MS),
+        });
+        // A user's database may not exist until they first sync; creating it
+        // here means "now" is not taken before their first documents
+        await couch.ensureDatabase(database);
+        result = await couch.database(database, `/_changes?${params}`, { signal: controller.signal });
+        if (!result.ok) throw new Error(`_changes answered ${result.status}`);
+        failures = 0;
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        failures++;
+        console.error(`Webhook feed for ${database} failed (${err.message}), retrying`);
+        await sleep(Math.min(retry.maxMs, retry.baseMs * 2 ** Math.min(failures, 10)));
+        continue;
+      }
+
+      for (const change of result.body.results) {
+        for (const rule of databaseRules) {
+          if (!ruleMatches(rule, change)) continue;
+          // Stopped mid-delivery: keep the checkpoint so the change is sent again
+          if (!(await deliver(rule, change))) return;
+        }
+        await saveCheckpoint(database, change.seq);
+        since = change.seq;
+      }
+      if (!result.body.results.length && result.body.last_seq !== undefined && result.body.last_seq !== since) {
+        since = result.body.last_seq;
+        await saveCheckpoint(database, since);
+      }
+    }
+  }
+
+  return {
+    async start() {
+      try {
+        checkpoints = JSON.parse(await readFile(checkpointFile, "utf-8"));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw new Error(`Could not read webhook checkpoint ${checkpointFile}: ${err.message}`);
+      }
+      for (const database of databases) {
+        follow(database).catch(err => console.error(`Webhooks for ${database} stopped:`, err));
+      }
+    },
+
+    // Feeds notice the abort at their next request; pending checkpoint
+    // writes are finished before this resolves.
+    async stop() {
+      controller.abort();
+      await saving;
+    },
+  };
+}
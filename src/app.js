@@ -0,0 +1,43 @@
+// app.js
+// The layout, components and initial state, shared by the browser and the
+// server-side renderer so both produce the same markup.
+
+import Counter from './components/Counter.js';
+import Login from './components/Login.js';
+
+export const components = {
+    Counter: Counter,
+    Login: Login
+};
+
+export const initialState = {
+    count: 0,
+    auth: { session: null }
+};
+
+/**
+ * Builds the page layout.
+ * @param {object} context - A Juris context (getState plus the auth service).
+ * @returns {object} The Object DOM layout.
+ */
+export function createLayout(context) {
+    const { getState, auth } = context;
+    return {
+        div: {
+            children: () => getState('auth.session') ? [
+                {h1: {text: 'Juris.js Counter'}},
+                { Counter: {} },
+                {button: {
+                    text: 'Log out',
+                    onclick: async () => {
+                        await auth.logout();
+                        location.reload();
+                    }
+                }}
+            ] : [
+                {h1: {text: 'Juris.js Counter'}},
+                { Login: {} }
+            ]
+        }
+    };
+}
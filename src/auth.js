@@ -0,0 +1,75 @@
+// auth.js
+
+// The last session seen on this device, so the app still opens offline.
+const LAST_SESSION_KEY = 'vault:lastSession';
+
+function remember(data) {
+  const session = { user: data.user, db: data.db };
+  localStorage.setItem(LAST_SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+function lastSession() {
+  try {
+    return JSON.parse(localStorage.getItem(LAST_SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+async function postJson(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'same-origin',
+    body: JSON.stringify(body || {})
+  });
+  return { status: res.status, data: await res.json().catch(() => ({})) };
+}
+
+export const authService = {
+  /**
+   * Asks the server who is logged in.
+   * Falls back to the last known session when the server cannot be reached
+   * or answers with an error.
+   * @returns {Promise<{user: string, db: string}|null>} The session, or null when logged out.
+   */
+  async session() {
+    try {
+      const res = await fetch('/api/session', { credentials: 'same-origin' });
+      if (res.status === 401) {
+        localStorage.removeItem(LAST_SESSION_KEY);
+        return null;
+      }
+      if (!res.ok) throw new Error(`Session check failed (${res.status})`);
+      return remember(await res.json());
+    } catch (err) {
+      console.warn('Session check failed, using last known session:', err);
+      return lastSession();
+    }
+  },
+
+  /**
+   * Logs in and starts a cookie session.
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<{user: string, db: string}>} The new session.
+   */
+  async login(username, password) {
+    const { status, data } = await postJson('/api/login', { username, password });
+    if (status !== 200) {
+      throw new Error(data.error || `Login failed (${status})`);
+    }
+    return remember(data);
+  },
+
+  /**
+   * Ends the session on the server and forgets the user on this device,
+   * including the pages the service worker cached for them.
+   */
+  async logout() {
+    localStorage.removeItem(LAST_SESSION_KEY);
+    navigator.serviceWorker?.controller?.postMessage({ type: 'logout' });
+    await postJson('/api/logout');
+  }
+};
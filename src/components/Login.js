@@ -0,0 +1,52 @@
+// Login.js
+
+export default function Login(props, context) {
+    const { getState, setState, auth } = context;
+
+    async function submit(e) {
+        e.preventDefault();
+        setState('login.busy', true);
+        setState('login.error', '');
+        try {
+            const session = await auth.login(getState('login.username', ''), getState('login.password', ''));
+            setState('login.password', '');
+            setState('auth.session', session);
+        } catch (err) {
+            setState('login.error', err.message);
+        } finally {
+            setState('login.busy', false);
+        }
+    }
+
+    return {
+        form: {
+            class: 'login',
+            onsubmit: submit,
+            children: [
+                {h2: {text: 'Sign in'}},
+                {input: {
+                    type: 'text',
+                    name: 'username',
+                    autocomplete: 'username',
+                    placeholder: 'Username',
+                    value: () => getState('login.username', ''),
+                    oninput: (e) => setState('login.username', e.target.value)
+                }},
+                {input: {
+                    type: 'password',
+                    name: 'password',
+                    autocomplete: 'current-password',
+                    placeholder: 'Password',
+                    value: () => getState('login.password', ''),
+                    oninput: (e) => setState('login.password', e.target.value)
+                }},
+                {button: {
+                    type: 'submit',
+                    text: () => getState('login.busy', false) ? 'Signing in…' : 'Sign in',
+                    disabled: () => getState('login.busy', false)
+                }},
+                {p: {class: 'error', text: () => getState('login.error', '')}}
+            ]
+        }
+    };
+}
@@ -0,0 +1,18 @@
+// config.js
+
+// Per-environment settings from build.config.json, which the build (or the
+// dev server) puts in the page as window.__APP_CONFIG__.
+
+/**
+ * @typedef {object} AppConfig
+ * @property {string} appName - The app's display name.
+ * @property {string} remoteDb - Where the local database syncs to: a path on this server or a URL.
+ * @property {Object<string, boolean>} features - Feature flags, e.g. features.sync.
+ */
+
+/** @type {AppConfig} */
+export const appConfig = globalThis.__APP_CONFIG__ ?? {
+  appName: 'Juris Counter',
+  remoteDb: '/db-proxy',
+  features: { sync: true }
+};
@@ -1,24 +1,49 @@
 // db.js
 
+import { appConfig } from './config.js';
+
 // This module assumes PouchDB is loaded via a <script> tag in the HTML.
-const db = new PouchDB('juris-db');
+// Each user has their own database, so it is opened after login.
+let db = null;
+
+/**
+ * Opens the local database. The name matches the user's remote database
+ * (e.g. "vault-tim") so several people can share a device.
+ * @param {string} name - The database name reported by /api/session.
+ * @returns {object} The PouchDB instance.
+ */
+export function openDatabase(name) {
+  db = new PouchDB(name);
+  return db;
+}
+
+// Sync with remote CouchDB via the server proxy. The proxy requires a
+// session and routes it to the logged-in user's database.
+const remoteDB = new URL(appConfig.remoteDb, window.location.origin).href;
 
-// Sync with remote CouchDB via the server proxy
-const remoteDB = window.location.origin + '/db-proxy';
-db.sync(remoteDB, {
-  live: true,
-  retry: true
-}).on('change', function (info) {
-  console.log('Sync change:', info);
-}).on('paused', function (err) {
-  console.log('Sync paused:', err);
-}).on('active', function () {
-  console.log('Sync active');
-}).on('denied', function (err) {
-  console.error('Sync denied:', err);
-}).on('error', function (err) {
-  console.error('Sync error:', err);
-});
+/**
+ * Starts live replication with the remote database.
+ * @param {object} [options]
+ * @param {function} [options.onUnauthorized] - Called when the session has expired.
+ * @returns {object} The sync handler, which can be canceled.
+ */
+export function startSync({ onUnauthorized } = {}) {
+  return db.sync(remoteDB, {
+    live: true,
+    retry: true
+  }).on('change', function (info) {
+    console.log('Sync change:', info);
+  }).on('paused', function (err) {
+    console.log('Sync paused:', err);
+  }).on('active', function () {
+    console.log('Sync active');
+  }).on('denied', function (err) {
+    console.error('Sync denied:', err);
+  }).on('error', function (err) {
+    console.error('Sync error:', err);
+    if (err.status === 401 && onUnauthorized) onUnauthorized(err);
+  });
+}
 
 export const dbService = {
   /**
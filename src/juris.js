@@ -692,7 +692,7 @@ class ComponentManager {
                 return element;
             }            
             if (typeof result.render === 'function' && !this.#hasLifecycleHooks(result)) {
-                const container = document.createElement('div');
+                const container = this.juris.domRenderer._createElement('div');
                 container.setAttribute('data-juris-reactive-render', name);
                 const componentData = { name, api: result.api || {}, render: result.render };
                 this.instances.set(container, componentData);
@@ -976,6 +976,7 @@ class DOMRenderer {
             touchCallout: 'none'
         };
         this.RECYCLE_POOL_SIZE = 100;
+        this.hydration = null;
     }
 
     setRenderMode(mode) {
@@ -987,6 +988,46 @@ class DOMRenderer {
         }
     }
 
+    _createElement(tagName) {
+        const hydration = this.hydration;
+        if (hydration && !hydration.diverged) {
+            const node = hydration.nodes[hydration.index];
+            if (node && node.localName.toLowerCase() === tagName.toLowerCase()) {
+                hydration.index++;
+                return node;
+            }
+            // The layout no longer matches the server markup; build the rest fresh
+            hydration.diverged = true;
+        }
+        return this.SVG_ELEMENTS.has(tagName.toLowerCase())
+            ? document.createElementNS("http://www.w3.org/2000/svg", tagName)
+            : document.createElement(tagName);
+    }
+
+    // Renders vnode while reusing the server-rendered elements in container.
+    // Elements are created in document order, so each one claims the next
+    // server element with the same tag; any left unclaimed are removed.
+    hydrate(container, vnode) {
+        const nodes = [];
+        const collect = parent => {
+            for (const child of parent.children) {
+                nodes.push(child);
+                // innerHTML content is not built by the renderer
+                if (!child.hasAttribute('data-juris-html')) collect(child);
+            }
+        };
+        collect(container);
+        this.hydration = { nodes, index: 0, diverged: false };
+        try {
+            const element = this.render(vnode);
+            nodes.slice(this.hydration.index).forEach(node => node.remove());
+            log.ei && console.info(log.i('Hydration complete', { claimed: this.hydration.index, total: nodes.length }, 'framework'));
+            return element;
+        } finally {
+            this.hydration = null;
+        }
+    }
+
     getRenderMode() { return this.renderMode; }
     isFineGrained() { return this.renderMode === 'fine-grained'; }
     isBatchMode() { return this.renderMode === 'batch'; }
@@ -1192,9 +1233,7 @@ class DOMRenderer {
     }
 
     #createElementStatic(tagName, props, componentName = null) {
-        const element = this.SVG_ELEMENTS.has(tagName.toLowerCase())
-            ? document.createElementNS("http://www.w3.org/2000/svg", tagName)
-            : document.createElement(tagName);
+        const element = this._createElement(tagName);
         for (const key in props) {
             if (!props.hasOwnProperty(key)) continue;
 
@@ -1265,9 +1304,7 @@ class DOMRenderer {
     }
 
     #createElementFineGrained(tagName, props, componentName = null) {
-        const element = this.SVG_ELEMENTS.has(tagName.toLowerCase())
-            ? document.createElementNS("http://www.w3.org/2000/svg", tagName)
-            : document.createElement(tagName);
+        const element = this._createElement(tagName);
         this.tempArray.length = 0;
         const subscriptions = this.tempArray;
         const eventListeners = [];
@@ -2087,9 +2124,7 @@ class DOMRenderer {
     #createElementOptimized(tagName, props, key) {
         let element = this.#getRecycledElement(tagName);
         if (!element) {
-            element = this.SVG_ELEMENTS.has(tagName.toLowerCase())
-                ? document.createElementNS("http://www.w3.org/2000/svg", tagName)
-                : document.createElement(tagName);
+            element = this._createElement(tagName);
         }
         if (key) {
             this.elementCache.set(key, element);
@@ -2725,24 +2760,12 @@ class Juris {
         if (element) containerEl.appendChild(element);
     }
     
-    async #renderWithHydration (containerEl) {
-        const stagingEl = document.createElement('div');
-        stagingEl.style.cssText = 'position: absolute; left: -9999px; visibility: hidden;';
-        document.body.appendChild(stagingEl);
-        try {
-            startTracking();
-            const element = this.domRenderer.render(this.layout);
-            if (element) stagingEl.appendChild(element);
-            await onAllComplete();
-            containerEl.innerHTML = '';
-            while (stagingEl.firstChild) {
-                containerEl.appendChild(stagingEl.firstChild);
-            }
-            this.headlessManager.initializeQueued();
-        } finally {
-            stopTracking();
-            document.body.removeChild(stagingEl);
-        }
+    #renderWithHydration (containerEl) {
+        const element = this.domRenderer.hydrate(containerEl, this.layout);
+        if (element) containerEl.replaceChildren(element);
+        else containerEl.innerHTML = '';
+        this.setState('isHydration', false);
+        this.headlessManager?.initializeQueued();
     };
 
     #renderError(container, error) {
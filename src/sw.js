@@ -1,17 +1,163 @@
 // sw.js
 
-const CACHE_NAME = 'juris-counter-pwa-v3';
-const urlsToCache = [
+// build.js fills these in from the fingerprinted files in dist
+const CACHE_VERSION = 'dev';
+const PRECACHE_URLS = [
   '/',
-  'index.html',
-  'juris.js',
-  'components/Counter.js',
-  'db.js',
-  'manifest.json',
-  'icon.svg'
+  'index.html'
 ];
 
-const POUCHDB_URL = 'https://cdn.jsdelivr.net/npm/pouchdb@8.0.1/dist/pouchdb.min.js';
+const CACHE_NAME = `juris-counter-pwa-${CACHE_VERSION}`;
+const RUNTIME_CACHE_PREFIX = 'juris-counter-runtime-';
+
+// When a runtime cache entry was stored, for expiring it by age
+const CACHED_AT_HEADER = 'sw-cached-at';
+
+const DAY = 24 * 60 * 60;
+
+// The first route that matches a GET request decides how it is answered.
+// Options:
+//   strategy   networkFirst, cacheFirst, staleWhileRevalidate or networkOnly
+//   timeout    ms to wait for the network; networkFirst then answers from the
+//              cache, the other strategies fail the request
+//   cache      runtime cache for responses from the network: its name, and
+//              maxEntries and maxAgeSeconds (the oldest entries go first)
+//   fallback   precached URL to answer with when nothing else can
+// Requests no route matches, and all other methods, go straight to the network.
+const ROUTES = [
+  {
+    // Server APIs, sync and live events are never served from a cache
+    match: ({ url }) => /^\/(api|db-proxy|events|tls|healthz|readyz|metrics)(\/|$)|^\/__/.test(url.pathname),
+    strategy: 'networkOnly'
+  },
+  {
+    // Pages: the latest when online, the cached copy when offline or slow.
+    // Client-side routes that were never visited fall back to the app shell.
+    match: ({ request }) => request.mode === 'navigate',
+    strategy: 'networkFirst',
+    timeout: 3000,
+    cache: { name: 'pages', maxEntries: 25, maxAgeSeconds: 7 * DAY },
+    fallback: 'index.html'
+  },
+  {
+    // Fingerprinted assets (name.<hash>.ext, HASH_LENGTH in build.js) never change
+    match: ({ url }) => /\.[0-9a-f]{10}\.\w+$/.test(url.pathname),
+    strategy: 'cacheFirst',
+    timeout: 10000,
+    cache: { name: 'assets', maxEntries: 100, maxAgeSeconds: 30 * DAY }
+  },
+  {
+    // Everything else on our origin, e.g. manifest.json
+    match: ({ url }) => url.origin === self.location.origin,
+    strategy: 'staleWhileRevalidate',
+    timeout: 10000,
+    cache: { name: 'static', maxEntries: 50, maxAgeSeconds: 7 * DAY }
+  }
+];
+
+const runtimeCacheName = route => RUNTIME_CACHE_PREFIX + route.cache.name;
+
+function isExpired(response, route) {
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return Boolean(cachedAt) && Date.now() - cachedAt > route.cache.maxAgeSeconds * 1000;
+}
+
+// Rejects when the network takes longer than the route allows
+function withTimeout(network, route) {
+  if (!route.timeout) return network;
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out after ${route.timeout} ms`)), route.timeout);
+    network.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+// A fresh copy from the route's runtime cache, else the precache
+async function fromCache(request, route) {
+  if (route.cache) {
+    const cache = await caches.open(runtimeCacheName(route));
+    const response = await cache.match(request);
+    if (response && !isExpired(response, route)) return response;
+    if (response) await cache.delete(request);
+  }
+  return (await caches.open(CACHE_NAME)).match(request);
+}
+
+// Removes expired entries, then the oldest ones over the limit. Cache keys
+// come back in the order they were stored.
+async function trimCache(route) {
+  const cache = await caches.open(runtimeCacheName(route));
+  const requests = await cache.keys();
+  const kept = [];
+  for (const request of requests) {
+    const response = await cache.match(request);
+    if (!response || isExpired(response, route)) await cache.delete(request);
+    else kept.push(request);
+  }
+  const excess = kept.length - route.cache.maxEntries;
+  for (const request of kept.slice(0, Math.max(excess, 0))) {
+    await cache.delete(request);
+  }
+}
+
+// Stores a successful same-origin response with the time it was cached
+async function store(request, response, route) {
+  if (!route.cache || !response.ok || response.type !== 'basic') return;
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+  const body = await response.blob();
+  const cache = await caches.open(runtimeCacheName(route));
+  await cache.put(request, new Response(body, { status: response.status, statusText: response.statusText, headers }));
+  await trimCache(route);
+}
+
+// Fetches and caches in the background, so the copy is kept for next time
+// even when the response that was waited for came from the cache
+function fetchAndStore(request, route, event) {
+  const network = fetch(request);
+  event.waitUntil(network.then(response => store(request, response.clone(), route)).catch(() => {}));
+  return network;
+}
+
+const STRATEGIES = {
+  async networkOnly(request, route) {
+    return withTimeout(fetch(request), route);
+  },
+
+  async networkFirst(request, route, event) {
+    const network = fetchAndStore(request, route, event);
+    try {
+      return await withTimeout(network, route);
+    } catch (err) {
+      const cached = await fromCache(request, route);
+      if (cached) return cached;
+      // Slow rather than offline: keep waiting for the network
+      return network;
+    }
+  },
+
+  async cacheFirst(request, route, event) {
+    const cached = await fromCache(request, route);
+    if (cached) return cached;
+    return withTimeout(fetchAndStore(request, route, event), route);
+  },
+
+  async staleWhileRevalidate(request, route, event) {
+    const cached = await fromCache(request, route);
+    const network = fetchAndStore(request, route, event);
+    if (cached) return cached;
+    return withTimeout(network, route);
+  }
+};
+
+async function handle(request, route, event) {
+  try {
+    return await STRATEGIES[route.strategy](request, route, event);
+  } catch (err) {
+    const fallback = route.fallback && await caches.match(new URL(route.fallback, self.location.href).href);
+    if (fallback) return fallback;
+    throw err;
+  }
+}
 
 self.addEventListener('install', event => {
   // Perform install steps
@@ -19,24 +165,17 @@ self.addEventListener('install', event => {
     caches.open(CACHE_NAME)
       .then(cache => {
         console.log('Opened cache');
-        // Cache local assets
-        const localAssets = cache.addAll(urlsToCache);
-        
-        //Separately cache the cross-origin PouchDB script
-        const pouchDBCache = fetch(POUCHDB_URL).then(response => {
-          if (!response.ok) {
-            throw new TypeError('Failed to fetch PouchDB');
-          }
-          return cache.put(POUCHDB_URL, response);
-        });
-
-        return Promise.all([localAssets, pouchDBCache]);
+        // Everything the app needs is on our origin, third-party scripts included.
+        // Fetched without cookies: '/' and index.html are rendered on the server,
+        // and the shell must not carry whoever was logged in during the install.
+        return cache.addAll(PRECACHE_URLS.map(url => new Request(url, { credentials: 'omit' })));
       })
   );
 });
 
 self.addEventListener('activate', event => {
-  const cacheWhitelist = [CACHE_NAME];
+  // Runtime caches outlive a version; their entries expire on their own
+  const cacheWhitelist = [CACHE_NAME, ...ROUTES.filter(route => route.cache).map(runtimeCacheName)];
   event.waitUntil(
     caches.keys().then(cacheNames => {
       return Promise.all(
@@ -50,21 +189,28 @@ self.addEventListener('activate', event => {
   );
 });
 
+// Pages are rendered for the logged-in user, so logging out drops every
+// runtime copy before someone else uses this device
+self.addEventListener('message', event => {
+  if (event.data?.type !== 'logout') return;
+  event.waitUntil(
+    caches.keys().then(cacheNames => {
+      return Promise.all(
+        cacheNames
+          .filter(cacheName => cacheName.startsWith(RUNTIME_CACHE_PREFIX))
+          .map(cacheName => caches.delete(cacheName))
+      );
+    })
+  );
+});
+
 self.addEventListener('fetch', event => {
-  // Skip caching for database proxy requests
-  if (event.request.url.includes('/db-proxy')) {
-    return;
-  }
+  const { request } = event;
+  if (request.method !== 'GET') return;
 
-  event.respondWith(
-    caches.match(event.request)
-      .then(response => {
-        // Cache hit - return response
-        if (response) {
-          return response;
-        }
+  const url = new URL(request.url);
+  const route = ROUTES.find(candidate => candidate.match({ request, url }));
+  if (!route) return;
 
-        return fetch(event.request);
-      })
-  );
+  event.respondWith(handle(request, route, event));
 });
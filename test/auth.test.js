@@ -0,0 +1,52 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { mkdtemp, readdir, readFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createAuth, setUserPassword } from "../server/auth.js";
+
+let dir;
+let auth;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "auth-test-"));
+  await setUserPassword(join(dir, "users.json"), "tim", "secret123");
+  auth = createAuth({
+    usersFile: join(dir, "users.json"),
+    sessionsFile: join(dir, "sessions.json"),
+    sessionTtl: 3600,
+    databaseFor: (user) => `vault-${user}`,
+  });
+});
+
+afterEach(() => rm(dir, { recursive: true, force: true }));
+
+const post = (path, init = {}) => auth.handle(new Request(`http://vault${path}`, { method: "POST", ...init }), path);
+
+const login = async () => {
+  const res = await post("/api/login", { body: JSON.stringify({ username: "tim", password: "secret123" }) });
+  expect(res.status).toBe(200);
+  return res.headers.get("set-cookie").split(";")[0];
+};
+
+describe("sessions file", () => {
+  test("keeps every session when logins and logouts overlap", async () => {
+    const [first, ...cookies] = await Promise.all(Array.from({ length: 8 }, login));
+    await Promise.all([post("/api/logout", { headers: { Cookie: first } }), login(), login()]);
+
+    const saved = JSON.parse(await readFile(join(dir, "sessions.json"), "utf-8"));
+    expect(Object.keys(saved).length).toBe(cookies.length + 2);
+    expect((await readdir(dir)).filter(name => name.endsWith(".tmp"))).toEqual([]);
+  });
+
+  test("restores sessions from the file", async () => {
+    const cookie = await login();
+    const restarted = createAuth({
+      usersFile: join(dir, "users.json"),
+      sessionsFile: join(dir, "sessions.json"),
+      sessionTtl: 3600,
+      databaseFor: (user) => `vault-${user}`,
+    });
+    const session = await restarted.getSession(new Request("http://vault/", { headers: { Cookie: cookie } }));
+    expect(session?.user).toBe("tim");
+  });
+});
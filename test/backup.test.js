@@ -0,0 +1,59 @@
+import { beforeEach, describe, expect, test } from "bun:test";
+import { createBackups } from "../server/backup.js";
+import { createCouch } from "../server/couch.js";
+import { createMockCouch } from "../server/mock-couch.js";
+
+const DATABASE = "vault-tim";
+
+let couch;
+let backups;
+
+beforeEach(() => {
+  couch = createCouch({ url: "http://mock-couch/juris-db", user: "admin", password: "mock", fetch: createMockCouch().fetch });
+  backups = createBackups({ couch });
+});
+
+async function restore(records) {
+  const body = records.map(record => JSON.stringify(record)).join("\n") + "\n";
+  const res = backups.restoreDatabase(new Request("http://vault/api/restore", { method: "POST", body }), DATABASE);
+  return (await res.text()).trim().split("\n").map(line => JSON.parse(line));
+}
+
+const header = { backup: { version: 1, db: DATABASE, created_at: "2026-01-01T00:00:00.000Z" } };
+
+describe("restore", () => {
+  test("restores documents with their revisions", async () => {
+    const results = await restore([
+      header,
+      { doc: { _id: "note-1", _rev: "2-b", _revisions: { start: 2, ids: ["b", "a"] }, title: "Note" } },
+      { end: { docs: 1 } },
+    ]);
+    expect(results[0]).toEqual({ id: "note-1", rev: "2-b", status: "restored" });
+    expect(results.at(-1).summary).toMatchObject({ restored: 1, skipped: 0, complete: true });
+
+    const doc = await couch.database(DATABASE, "/note-1");
+    expect(doc.body).toMatchObject({ _rev: "2-b", title: "Note" });
+  });
+
+  test("skips design and local documents", async () => {
+    const results = await restore([
+      header,
+      { doc: { _id: "_design/evil", _rev: "1-a", _revisions: { start: 1, ids: ["a"] }, validate_doc_update: "function () {}" } },
+      { doc: { _id: "_local/checkpoint", _rev: "0-1", last_seq: 5 } },
+      { end: { docs: 2 } },
+    ]);
+    expect(results.slice(0, 2)).toEqual([
+      { id: "_design/evil", status: "skipped", reason: "design documents are not restored" },
+      { id: "_local/checkpoint", status: "skipped", reason: "local documents are not restored" },
+    ]);
+    expect(results.at(-1).summary).toMatchObject({ restored: 0, skipped: 2 });
+    expect((await couch.database(DATABASE, "/_design/evil")).status).toBe(404);
+  });
+
+  test("skips what is already there when restoring twice", async () => {
+    const records = [header, { doc: { _id: "note-1", _rev: "1-a", title: "Note" } }, { end: { docs: 1 } }];
+    await restore(records);
+    const results = await restore(records);
+    expect(results[0]).toEqual({ id: "note-1", rev: "1-a", status: "skipped", reason: "already present" });
+  });
+});
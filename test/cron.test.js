@@ -0,0 +1,59 @@
+import { describe, expect, test } from "bun:test";
+import { parseCron } from "../server/cron.js";
+
+// Thursday, 1 January 2026, 12:00 local time
+const START = new Date(2026, 0, 1, 12, 0);
+
+const next = (expression, after = START) => parseCron(expression).next(after);
+
+describe("cron", () => {
+  test("finds the next minute, hour and day", () => {
+    expect(next("* * * * *")).toEqual(new Date(2026, 0, 1, 12, 1));
+    expect(next("*/15 * * * *")).toEqual(new Date(2026, 0, 1, 12, 15));
+    expect(next("30 3 * * *")).toEqual(new Date(2026, 0, 2, 3, 30));
+    expect(next("0 12 * * *")).toEqual(new Date(2026, 0, 2, 12, 0));
+  });
+
+  test("parses ranges, steps, lists and names", () => {
+    expect(next("0-30/10 13 * * *")).toEqual(new Date(2026, 0, 1, 13, 0));
+    expect(next("5,45 12 * * *")).toEqual(new Date(2026, 0, 1, 12, 5));
+    expect(next("0 4 * * sun")).toEqual(new Date(2026, 0, 4, 4, 0));
+    expect(next("0 4 * * 7")).toEqual(new Date(2026, 0, 4, 4, 0));
+    expect(next("0 0 1 mar-may *")).toEqual(new Date(2026, 2, 1, 0, 0));
+    expect(next("0 0 10/10 * *")).toEqual(new Date(2026, 0, 10, 0, 0));
+  });
+
+  test("expands shortcuts", () => {
+    expect(next("@hourly")).toEqual(new Date(2026, 0, 1, 13, 0));
+    expect(next("@daily")).toEqual(new Date(2026, 0, 2, 0, 0));
+    expect(next("@weekly")).toEqual(new Date(2026, 0, 4, 0, 0));
+    expect(next("@monthly")).toEqual(new Date(2026, 1, 1, 0, 0));
+    expect(next("@yearly")).toEqual(new Date(2027, 0, 1, 0, 0));
+  });
+
+  test("runs on either day when both day fields are restricted", () => {
+    // The 15th, or any Monday
+    expect(next("0 0 15 * mon")).toEqual(new Date(2026, 0, 5, 0, 0));
+    expect(next("0 0 15 * mon", new Date(2026, 0, 13))).toEqual(new Date(2026, 0, 15, 0, 0));
+  });
+
+  test("treats a day field starting with * as unrestricted", () => {
+    // Odd days that are Mondays, not odd days or Mondays
+    expect(next("0 0 */2 * mon")).toEqual(new Date(2026, 0, 5, 0, 0));
+    expect(next("0 0 */2 * mon", new Date(2026, 0, 6))).toEqual(new Date(2026, 0, 19, 0, 0));
+    // Only the 13th, not every day as listing all weekdays would mean
+    expect(next("0 0 13 * */1", new Date(2026, 0, 14))).toEqual(new Date(2026, 1, 13, 0, 0));
+  });
+
+  test("gives up on dates that never come", () => {
+    expect(next("0 0 31 2 *")).toBeNull();
+  });
+
+  test("rejects invalid expressions", () => {
+    expect(() => parseCron("* * * *")).toThrow("needs 5 fields");
+    expect(() => parseCron("60 * * * *")).toThrow("minute 60 is outside 0-59");
+    expect(() => parseCron("* * * * funday")).toThrow('"funday" is not a valid day of week');
+    expect(() => parseCron("*/0 * * * *")).toThrow("has an invalid step");
+    expect(() => parseCron("30-10 * * * *")).toThrow("is an empty minute range");
+  });
+});
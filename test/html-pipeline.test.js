@@ -0,0 +1,73 @@
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { mkdtemp, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createHtmlPipeline, loadBuildConfig } from "../server/html-pipeline.js";
+
+const config = await loadBuildConfig(join(import.meta.dir, "../build.config.json"));
+const pipeline = createHtmlPipeline({ config, environment: "production" });
+
+describe("html pipeline", () => {
+  test("keeps <meta charset> first in <head>", () => {
+    const html = pipeline.transform(`<html><head>\n<meta charset="UTF-8">\n<title></title></head><body></body></html>`, "index.html");
+    const head = html.slice(html.indexOf("<head>") + "<head>".length, html.indexOf("</head>"));
+    expect(head.trim()).toStartWith(`<meta charset="UTF-8">`);
+    expect(head).toContain(`<link rel="manifest" href="manifest.json">`);
+    expect(head).toContain("window.__APP_CONFIG__");
+    expect(head).toContain("<title>Juris Counter</title>");
+  });
+
+  test("inserts at the top of <head> without a charset", () => {
+    const html = pipeline.transform(`<html><head><title></title></head><body></body></html>`, "index.html");
+    expect(html).toMatch(/^<html><head><script>window.__APP_CONFIG__ = .*<\/script>\s*<link rel="manifest" href="manifest.json">\s*<title>/);
+    const headOnly = createHtmlPipeline({
+      config: { ...config, html: { ...config.html, transforms: config.html.transforms.filter(step => step.step !== "title") } },
+      environment: "production",
+    });
+    expect(headOnly.transform("<html><head></head><body></body></html>", "index.html")).toMatch(/^<html><head>\s*<script>.*<\/script>\s*<link rel="manifest" href="manifest.json">\s*<\/head>/);
+  });
+
+  test("fails when a step's element is missing", () => {
+    expect(() => pipeline.transform(`<html><body></body></html>`, "index.html")).toThrow("index.html: manifest step failed: no <head> element");
+  });
+});
+
+describe("html pipeline step modules", () => {
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "html-pipeline-test-"));
+    await mkdir(join(dir, "html-steps"));
+    await writeFile(join(dir, "html-steps", "csp.js"), `
+      export const check = (step) => typeof step.policy === "string" ? [] : ["needs a policy"];
+      export const apply = (html, step) => new HTMLRewriter().on("head", {
+        element(head) { head.append(\`<meta http-equiv="Content-Security-Policy" content="\${step.policy}">\`, { html: true }); },
+      }).transform(html);
+    `);
+    await writeFile(join(dir, "html-steps", "broken.js"), "export const check = () => [];\n");
+  });
+
+  afterAll(() => rm(dir, { recursive: true, force: true }));
+
+  async function load(transforms) {
+    const spec = JSON.parse(await readFile(join(import.meta.dir, "../build.config.json"), "utf-8"));
+    spec.html.transforms = transforms;
+    const file = join(dir, "build.config.json");
+    await writeFile(file, JSON.stringify(spec));
+    return loadBuildConfig(file);
+  }
+
+  test("runs a step from a module next to the config", async () => {
+    const config = await load([{ step: "title" }, { step: "./html-steps/csp.js", policy: "default-src 'self'" }]);
+    const html = createHtmlPipeline({ config, environment: "production" })
+      .transform("<html><head><title></title></head><body></body></html>", "index.html");
+    expect(html).toBe(`<html><head><title>Juris Counter</title><meta http-equiv="Content-Security-Policy" content="default-src 'self'"></head><body></body></html>`);
+  });
+
+  test("reports module steps that are missing, incomplete or misconfigured", async () => {
+    await expect(load([{ step: "./html-steps/csp.js" }])).rejects.toThrow("html.transforms[0] (./html-steps/csp.js) needs a policy");
+    await expect(load([{ step: "./html-steps/broken.js" }])).rejects.toThrow("step ./html-steps/broken.js does not export apply()");
+    await expect(load([{ step: "./html-steps/missing.js" }])).rejects.toThrow("could not load step ./html-steps/missing.js");
+    await expect(load([{ step: "analytics" }])).rejects.toThrow("html.transforms[0].step must be one of manifest, serviceWorker, title, appConfig, or a module path starting with ./");
+  });
+});
@@ -0,0 +1,142 @@
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { assignIds, parseBlocks, splitFrontmatter } from "../scripts/markdown.js";
+
+describe("markdown", () => {
+  test("splits off YAML frontmatter", () => {
+    const { frontmatter, body } = splitFrontmatter("---\ntitle: Weekly review\ntags: [work, review]\n---\n# Notes\n");
+    expect(frontmatter).toEqual({ title: "Weekly review", tags: ["work", "review"] });
+    expect(body).toBe("# Notes\n");
+    expect(splitFrontmatter("# No frontmatter\n")).toEqual({ frontmatter: {}, body: "# No frontmatter\n" });
+    expect(() => splitFrontmatter("---\n- a\n- b\n---\n")).toThrow("Frontmatter must be a YAML mapping");
+  });
+
+  test("parses headings, paragraphs and dividers", () => {
+    expect(parseBlocks("# Title #\n\nSetext\n======\n\nFirst line\nsecond *line*\n\n---\n\nSub\n---\n")).toEqual([
+      { type: "heading", level: 1, content: "Title" },
+      { type: "heading", level: 1, content: "Setext" },
+      { type: "paragraph", content: "First line\nsecond *line*" },
+      { type: "divider" },
+      { type: "heading", level: 2, content: "Sub" },
+    ]);
+  });
+
+  test("parses nested, ordered and task lists", () => {
+    expect(parseBlocks("- one\n  - nested\n- [x] done\n- [ ] todo\n\n1. first\n2. second\n")).toEqual([
+      {
+        type: "list",
+        ordered: false,
+        items: [
+          { content: "one", depth: 0 },
+          { content: "nested", depth: 1 },
+          { content: "done", depth: 0, checked: true },
+          { content: "todo", depth: 0, checked: false },
+        ],
+      },
+      { type: "list", ordered: true, items: [{ content: "first", depth: 0 }, { content: "second", depth: 0 }] },
+    ]);
+  });
+
+  test("parses tables with alignment", () => {
+    expect(parseBlocks("| Name | Qty |\n|:-----|----:|\n| a \\| b | 1 |\n| c |\n")).toEqual([
+      { type: "table", header: ["Name", "Qty"], align: ["left", "right"], rows: [["a | b", "1"], ["c", ""]] },
+    ]);
+  });
+
+  test("keeps code fences as written", () => {
+    expect(parseBlocks("```js\nconst a = 1;\n\n# not a heading\n```\n~~~\nplain\n~~~\n")).toEqual([
+      { type: "code", language: "js", content: "const a = 1;\n\n# not a heading" },
+      { type: "code", language: null, content: "plain" },
+    ]);
+  });
+
+  test("gives images their own blocks, also inside quotes", () => {
+    expect(parseBlocks('Before ![A cat](img/cat.png "Cat") after\n\n> Quoted\n> ![](dog.jpg)\n')).toEqual([
+      { type: "paragraph", content: "Before" },
+      { type: "image", src: "img/cat.png", alt: "A cat", title: "Cat" },
+      { type: "paragraph", content: "after" },
+      { type: "quote", content: "Quoted" },
+      { type: "image", src: "dog.jpg", alt: "" },
+    ]);
+  });
+
+  test("derives block ids from content", () => {
+    const blocks = assignIds(parseBlocks("Same\n\nSame\n\nOther\n"));
+    expect(blocks[0].id).toMatch(/^b[0-9a-f]{10}$/);
+    expect(blocks[1].id).toBe(`${blocks[0].id}-2`);
+    expect(blocks[2].id).not.toStartWith(blocks[0].id);
+    expect(assignIds(parseBlocks("Other\n"))[0].id).toBe(blocks[2].id);
+  });
+});
+
+// scripts/ingest.js against a stand-in for the server's login and proxy
+describe("ingest", () => {
+  const docs = new Map();
+  let server;
+  let dir;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), "ingest-test-"));
+    server = Bun.serve({
+      port: 0,
+      async fetch(req) {
+        const { pathname } = new URL(req.url);
+        if (pathname === "/api/login") {
+          return Response.json({ user: "tim", db: "vault-tim" }, { headers: { "Set-Cookie": "vault_session=test; Path=/" } });
+        }
+        if (pathname === "/api/logout") return Response.json({ ok: true });
+        const id = decodeURIComponent(pathname.replace(/^\/db-proxy\//, ""));
+        if (req.method === "GET") {
+          return docs.has(id) ? Response.json(docs.get(id)) : Response.json({ error: "not_found" }, { status: 404 });
+        }
+        const doc = await req.json();
+        const rev = `${(parseInt(docs.get(id)?._rev) || 0) + 1}-x`;
+        docs.set(id, { ...doc, _rev: rev });
+        return Response.json({ ok: true, id, rev }, { status: 201 });
+      },
+    });
+  });
+
+  afterAll(async () => {
+    server.stop(true);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  async function ingest() {
+    const proc = Bun.spawn(["bun", join(import.meta.dir, "../scripts/ingest.js"), dir], {
+      env: { ...process.env, VAULT_URL: `http://localhost:${server.port}`, VAULT_USER: "tim", VAULT_PASSWORD: "secret123" },
+      stdout: "pipe",
+      stderr: "pipe",
+    });
+    const [output, errors, code] = await Promise.all([new Response(proc.stdout).text(), new Response(proc.stderr).text(), proc.exited]);
+    if (code !== 0) throw new Error(`ingest exited with ${code}: ${errors}${output}`);
+    return output;
+  }
+
+  test("stamps created_at and updated_at and copies frontmatter fields", async () => {
+    await writeFile(join(dir, "review.md"), "---\ntags: [work]\nupdated_at: 2020-01-01\n---\n# Weekly review\n\nDone.\n");
+    expect(await ingest()).toContain("1 created");
+
+    const doc = docs.get("note:review");
+    expect(doc).toMatchObject({ type: "block_document", title: "Weekly review", tags: ["work"] });
+    expect(doc.blocks.map(block => block.type)).toEqual(["heading", "paragraph"]);
+    expect(doc.created_at).toMatch(/^\d{4}-\d\d-\d\dT/);
+    expect(doc.updated_at).toBe(doc.created_at);
+    expect(doc).not.toHaveProperty("updatedAt");
+  });
+
+  test("keeps created_at and moves updated_at when a file changes", async () => {
+    const { created_at: created, updated_at: firstUpdate } = docs.get("note:review");
+    expect(await ingest()).toContain("1 unchanged");
+
+    await Bun.sleep(5);
+    await writeFile(join(dir, "review.md"), "# Weekly review\n\nDone, and more.\n");
+    expect(await ingest()).toContain("1 updated");
+    const doc = docs.get("note:review");
+    expect(doc.created_at).toBe(created);
+    expect(doc.updated_at > firstUpdate).toBe(true);
+    expect(doc._rev).toBe("2-x");
+  });
+});
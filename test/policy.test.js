@@ -0,0 +1,53 @@
+import { describe, expect, test } from "bun:test";
+import { join } from "node:path";
+import { compilePolicy, loadPolicy } from "../server/policy.js";
+
+// The policy the server ships with
+const policy = await loadPolicy(join(import.meta.dir, "../proxy-policy.json"));
+
+describe("proxy policy", () => {
+  test("allows replication and document requests", () => {
+    expect(policy.check("vault-tim", "GET", "/")).toBeNull();
+    expect(policy.check("vault-tim", "POST", "/_bulk_docs")).toBeNull();
+    expect(policy.check("vault-tim", "PUT", "/_local/checkpoint")).toBeNull();
+    expect(policy.check("vault-tim", "GET", "/note-1")).toBeNull();
+    expect(policy.check("vault-tim", "GET", "/note-1/attachment.png")).toBeNull();
+    expect(policy.check("vault-tim", "POST", "/_design/app/_view/by_date")).toBeNull();
+  });
+
+  test("refuses databases outside the allowlist", () => {
+    expect(policy.check("_users", "GET", "/")).toBe("Database _users is not allowed");
+    expect(policy.check("juris-db", "GET", "/")).toBe("Database juris-db is not allowed");
+  });
+
+  test("refuses methods a matching rule does not list", () => {
+    expect(policy.check("vault-tim", "DELETE", "/")).toBe("DELETE is not allowed on /");
+    expect(policy.check("vault-tim", "PUT", "/_design/app")).toBe("PUT is not allowed on /_design/app");
+    expect(policy.check("vault-tim", "GET", "/_bulk_docs")).toBe("GET is not allowed on /_bulk_docs");
+    expect(policy.check("vault-tim", "POST", "/note-1")).toBe("POST is not allowed on /note-1");
+  });
+
+  test("refuses system paths, also when percent-encoded", () => {
+    expect(policy.check("vault-tim", "GET", "/_security")).toBe("Path /_security is not allowed");
+    expect(policy.check("vault-tim", "PUT", "/%5Fsecurity")).toBe("Path /%5Fsecurity is not allowed");
+    expect(policy.check("vault-tim", "GET", "/%5fconfig/x")).toBe("Path /%5fconfig/x is not allowed");
+    expect(policy.check("vault-tim", "PUT", "/_design/%5Fauth")).toBe("Path /_design/%5Fauth is not allowed");
+  });
+
+  test("matches literal segments after decoding", () => {
+    expect(policy.check("vault-tim", "POST", "/%5Fbulk_docs")).toBeNull();
+    expect(policy.check("vault-tim", "GET", "/note%201")).toBeNull();
+  });
+
+  test("refuses malformed encodings", () => {
+    expect(policy.check("vault-tim", "GET", "/%E0%A4%A")).toBe("Malformed path");
+  });
+
+  test("rejects invalid policies", () => {
+    expect(() => compilePolicy({ databases: [] })).toThrow("needs `databases` and `rules` arrays");
+    expect(() => compilePolicy({ databases: [], rules: [{ path: "x", methods: ["GET"] }] })).toThrow("rules[0].path");
+    expect(() => compilePolicy({ databases: [], rules: [{ path: "/", methods: [] }] })).toThrow("rules[0].methods");
+    expect(() => compilePolicy({ databases: [], rules: [{ path: "/", methods: ["PATCH"] }] })).toThrow("unknown method PATCH");
+    expect(() => compilePolicy({ databases: [], rules: [{ path: "/*/x", methods: ["GET"] }] })).toThrow("must be the last segment");
+  });
+});
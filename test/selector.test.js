@@ -0,0 +1,63 @@
+import { describe, expect, test } from "bun:test";
+import { matchesSelector, validateSelector } from "../server/selector.js";
+
+const doc = {
+  type: "block_document",
+  title: "Weekly review",
+  rating: 4,
+  tags: ["work", "review"],
+  meta: { source: "capture", pinned: false },
+  archived: null,
+};
+
+describe("selector", () => {
+  test("matches literal values and dotted paths", () => {
+    expect(matchesSelector(doc, { type: "block_document" })).toBe(true);
+    expect(matchesSelector(doc, { type: "data_entry" })).toBe(false);
+    expect(matchesSelector(doc, { "meta.source": "capture" })).toBe(true);
+    expect(matchesSelector(doc, { meta: { source: "capture" } })).toBe(true);
+    expect(matchesSelector(doc, { "meta.missing.deeper": { $exists: false } })).toBe(true);
+  });
+
+  test("compares values of the same type only", () => {
+    expect(matchesSelector(doc, { rating: { $gt: 3, $lte: 4 } })).toBe(true);
+    expect(matchesSelector(doc, { rating: { $lt: 4 } })).toBe(false);
+    expect(matchesSelector(doc, { rating: { $gte: "3" } })).toBe(false);
+    expect(matchesSelector(doc, { title: { $gte: "W" } })).toBe(true);
+    expect(matchesSelector(doc, { rating: { $ne: 5 } })).toBe(true);
+  });
+
+  test("supports set, type and pattern operators", () => {
+    expect(matchesSelector(doc, { type: { $in: ["data_entry", "block_document"] } })).toBe(true);
+    expect(matchesSelector(doc, { type: { $nin: ["block_document"] } })).toBe(false);
+    expect(matchesSelector(doc, { archived: { $exists: true, $type: "null" } })).toBe(true);
+    expect(matchesSelector(doc, { tags: { $type: "array", $size: 2 } })).toBe(true);
+    expect(matchesSelector(doc, { title: { $regex: "^Weekly" } })).toBe(true);
+    expect(matchesSelector(doc, { rating: { $regex: "4" } })).toBe(false);
+  });
+
+  test("matches array elements", () => {
+    expect(matchesSelector(doc, { tags: { $all: ["review", "work"] } })).toBe(true);
+    expect(matchesSelector(doc, { tags: { $all: ["work", "home"] } })).toBe(false);
+    expect(matchesSelector(doc, { tags: { $elemMatch: { $eq: "work" } } })).toBe(true);
+    expect(matchesSelector(doc, { tags: { $elemMatch: { $regex: "^home" } } })).toBe(false);
+  });
+
+  test("combines selectors", () => {
+    expect(matchesSelector(doc, { $or: [{ type: "data_entry" }, { rating: 4 }] })).toBe(true);
+    expect(matchesSelector(doc, { $and: [{ type: "block_document" }, { rating: 5 }] })).toBe(false);
+    expect(matchesSelector(doc, { $nor: [{ type: "data_entry" }, { "meta.pinned": true }] })).toBe(true);
+    expect(matchesSelector(doc, { $not: { type: "block_document" } })).toBe(false);
+    expect(matchesSelector(doc, { rating: { $not: { $gt: 4 } } })).toBe(true);
+  });
+
+  test("reports unsupported or malformed selectors", () => {
+    expect(validateSelector({ type: "block_document", tags: { $all: ["work"] } })).toEqual([]);
+    expect(validateSelector(["type"])).toEqual(["selector must be an object"]);
+    expect(validateSelector({ title: { $text: "x" } }, "rules[0].selector")).toEqual([
+      "rules[0].selector.title uses unsupported operator $text",
+    ]);
+    expect(validateSelector({ $or: { type: "x" } })).toEqual(["selector.$or must be an array"]);
+    expect(validateSelector({ title: { $regex: "(" } })).toEqual(["selector.title.$regex is not a valid regular expression"]);
+  });
+});
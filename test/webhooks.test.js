@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createCouch } from "../server/couch.js";
+import { createMockCouch } from "../server/mock-couch.js";
+import { createWebhooks, loadWebhookConfig } from "../server/webhooks.js";
+
+const DATABASE = "vault-tim";
+
+// The mock answers longpolls on its own schedule; make aborts end them so
+// stop() does not wait for the feed's timeout
+function abortable(mock) {
+  return (input, init = {}) => {
+    if (!init.signal) return mock.fetch(input, init);
+    return Promise.race([
+      mock.fetch(input, init),
+      new Promise((resolve, reject) => {
+        if (init.signal.aborted) reject(init.signal.reason);
+        init.signal.addEventListener("abort", () => reject(init.signal.reason), { once: true });
+      }),
+    ]);
+  };
+}
+
+async function waitFor(check, ms = 3000) {
+  const deadline = Date.now() + ms;
+  while (!(await check())) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await Bun.sleep(10);
+  }
+}
+
+let dir;
+let couch;
+let receiver;
+let received;
+let respond;
+let webhooks;
+
+beforeEach(async () => {
+  dir = await mkdtemp(join(tmpdir(), "webhooks-test-"));
+  couch = createCouch({ url: "http://mock-couch/juris-db", user: "admin", password: "mock", fetch: abortable(createMockCouch()) });
+  await couch.ensureDatabase(DATABASE);
+
+  // The local receiver records every POST and answers with respond()
+  received = [];
+  respond = () => new Response("ok");
+  receiver = Bun.serve({
+    port: 0,
+    async fetch(req) {
+      received.push({ at: Date.now(), headers: req.headers, body: await req.json() });
+      return respond(received.length);
+    },
+  });
+});
+
+afterEach(async () => {
+  await webhooks?.stop();
+  webhooks = null;
+  receiver.stop(true);
+  await rm(dir, { recursive: true, force: true });
+});
+
+function start(rule = {}, options = {}) {
+  webhooks = createWebhooks({
+    couch,
+    config: {
+      since: "0",
+      retry: { attempts: 3, baseMs: 20, maxMs: 1000, timeoutMs: 1000 },
+      rules: [{ name: "captures", url: `http://localhost:${receiver.port}/hook`, database: DATABASE, ...rule }],
+      ...options,
+    },
+    checkpointFile: join(dir, "checkpoint.json"),
+    deadLetterFile: join(dir, "dead-letter.jsonl"),
+  });
+  return webhooks.start();
+}
+
+const put = (doc) => couch.database(DATABASE, `/${doc._id}`, { method: "PUT", body: doc });
+
+async function deadLetters() {
+  try {
+    return (await readFile(join(dir, "dead-letter.jsonl"), "utf-8")).trim().split("\n").map(line => JSON.parse(line));
+  } catch (err) {
+    if (err.code === "ENOENT") return [];
+    throw err;
+  }
+}
+
+describe("webhooks", () => {
+  test("delivers matching documents in order, signed", async () => {
+    await put({ _id: "a", type: "block_document", title: "A" });
+    await put({ _id: "b", type: "data_entry", schema: {} });
+    await put({ _id: "c", type: "block_document", title: "C" });
+    await start({ types: ["block_document"], secret: "s3cret" });
+
+    await waitFor(() => received.length === 2);
+    expect(received.map(({ body }) => body.id)).toEqual(["a", "c"]);
+    expect(received[0].body).toMatchObject({ event: "changed", rule: "captures", database: DATABASE, doc: { title: "A" } });
+    expect(received[0].headers.get("x-vault-event-id")).toStartWith(`${DATABASE}:a:1-`);
+
+    const hmac = new Bun.CryptoHasher("sha256", "s3cret").update(JSON.stringify(received[0].body)).digest("hex");
+    expect(received[0].headers.get("x-vault-signature")).toBe(`sha256=${hmac}`);
+  });
+
+  test("retries server errors with growing delays", async () => {
+    respond = (count) => new Response(null, { status: count < 3 ? 503 : 200 });
+    await put({ _id: "a", type: "block_document", title: "A" });
+    await start();
+
+    await waitFor(() => received.length === 3);
+    // Jittered between half and all of 20 ms, then of 40 ms
+    expect(received[1].at - received[0].at).toBeGreaterThanOrEqual(9);
+    expect(received[2].at - received[1].at).toBeGreaterThanOrEqual(19);
+    await Bun.sleep(100);
+    expect(received.length).toBe(3);
+    expect(await deadLetters()).toEqual([]);
+  });
+
+  test("dead-letters a change after the last attempt and moves on", async () => {
+    respond = (count) => new Response(null, { status: count <= 3 ? 500 : 200 });
+    await put({ _id: "a", type: "block_document", title: "A" });
+    await put({ _id: "b", type: "block_document", title: "B" });
+    await start();
+
+    await waitFor(() => received.length === 4);
+    expect(received.map(({ body }) => body.id)).toEqual(["a", "a", "a", "b"]);
+    const [entry] = await deadLetters();
+    expect(entry).toMatchObject({ rule: "captures", id: "a", error: "HTTP 500" });
+  });
+
+  test("does not retry client errors", async () => {
+    respond = () => new Response(null, { status: 422 });
+    await put({ _id: "a", type: "block_document", title: "A" });
+    await start();
+
+    await waitFor(async () => (await deadLetters()).length === 1);
+    expect(received.length).toBe(1);
+    expect((await deadLetters())[0].error).toBe("HTTP 422");
+  });
+
+  test("resumes from the checkpoint after a restart", async () => {
+    await put({ _id: "a", type: "block_document", title: "A" });
+    await start();
+    await waitFor(() => received.length === 1);
+    await waitFor(async () => {
+      const checkpoint = JSON.parse(await readFile(join(dir, "checkpoint.json"), "utf-8").catch(() => "{}"));
+      return checkpoint[DATABASE] !== undefined;
+    });
+    await webhooks.stop();
+
+    await put({ _id: "b", type: "block_document", title: "B" });
+    await start();
+    await waitFor(() => received.length === 2);
+    await Bun.sleep(100);
+    expect(received.map(({ body }) => body.id)).toEqual(["a", "b"]);
+  });
+
+  test("requires every rule to name its database", async () => {
+    const file = join(dir, "webhooks.json");
+    await writeFile(file, JSON.stringify({ rules: [{ name: "captures", url: "http://localhost/hook" }] }));
+    await expect(loadWebhookConfig(file)).rejects.toThrow("rules[0].database must name a database, e.g. vault-<user>");
+  });
+});